@@ -0,0 +1,18 @@
+// filter-escape.js — quoting for values spliced into an ffmpeg -filter_complex string
+//
+// A filter option value is read twice: first by the filtergraph parser (which splits on [ ] , ;),
+// then by the filter's option parser (which splits on :). Both unescape backslashes and treat
+// '…' as a quoted span, so every special character is backslash-escaped once per level and
+// nothing is wrapped in quotes (a quote inside quotes cannot be escaped).
+
+export function escapeFilterValue(v) {
+  return String(v ?? "")
+    .replace(/[\\':]/g, (c) => `\\${c}`)
+    .replace(/[\\'[\],;]/g, (c) => `\\${c}`);
+}
+
+// drawtext `text=` option: literal text (expansion=none, so % is not a format sequence).
+// Unquoted values lose leading/trailing whitespace in the parser, so trim up front.
+export function drawtextOption(text) {
+  return `text=${escapeFilterValue(String(text ?? "").trim())}:expansion=none`;
+}
@@ -1,4 +1,9 @@
 import express from "express";
+import crypto from "crypto";
+import dns from "dns/promises";
+import net from "net";
+import { spawn } from "child_process";
+import ffprobeStatic from "ffprobe-static";
 import { createClient } from "@supabase/supabase-js";
 
 /* ==============================
@@ -15,12 +20,61 @@ function mustEnv(name) {
 
 const SUPABASE_URL = mustEnv("SUPABASE_URL");
 const SUPABASE_SERVICE_ROLE_KEY = mustEnv("SUPABASE_SERVICE_ROLE_KEY");
-const HEYGEN_WEBHOOK_SECRET = process.env.HEYGEN_WEBHOOK_SECRET || null;
+
+// HeyGen webhook endpoint secret: signs the raw body (HMAC-SHA256)
+const HEYGEN_WEBHOOK_SECRET = mustEnv("HEYGEN_WEBHOOK_SECRET");
+const HEYGEN_SIGNATURE_HEADER = (process.env.HEYGEN_SIGNATURE_HEADER || "signature").toLowerCase();
+const WEBHOOK_TOLERANCE_SECONDS = Number(process.env.WEBHOOK_TOLERANCE_SECONDS || 300);
+
+// Tenant defaults (overridable per row in tenants)
+const RATE_LIMIT_PER_MINUTE = Number(process.env.RATE_LIMIT_PER_MINUTE || 60);
+const DEFAULT_MONTHLY_QUOTA = Number(process.env.DEFAULT_MONTHLY_QUOTA || 100);
+
+const STORAGE_BUCKET = process.env.STORAGE_BUCKET || "videos";
+const UPLOAD_CONTENT_TYPES = ["video/mp4", "video/quicktime", "video/x-m4v", "video/webm"];
+
+// Media validation at job creation (keep MAX_TRANSCRIBE_SECONDS in sync with the worker)
+const FFPROBE_PATH = process.env.FFPROBE_PATH || ffprobeStatic.path;
+const PROBE_TIMEOUT_MS = Number(process.env.PROBE_TIMEOUT_MS || 60000);
+const MAX_TRANSCRIBE_SECONDS = Number(process.env.MAX_TRANSCRIBE_SECONDS || 1200);
+const MIN_WALKTHROUGH_SECONDS = Number(process.env.MIN_WALKTHROUGH_SECONDS || 10);
+const MIN_VIDEO_SHORT_SIDE = Number(process.env.MIN_VIDEO_SHORT_SIDE || 480);
+const PROBE_CONTAINERS = ["mov", "mp4", "m4a", "3gp", "matroska", "webm"];
+const PROBE_VIDEO_CODECS = ["h264", "hevc", "vp8", "vp9", "av1", "mpeg4"];
+
+// Montage plan rules for edited walkthrough plans (keep in sync with PLAN_* in the worker)
+const PLAN_MIN_SEGMENT_SECONDS = 6;
+const PLAN_MAX_SEGMENT_SECONDS = 25;
+const PLAN_TOTAL_TOLERANCE_SECONDS = Number(process.env.PLAN_TOTAL_TOLERANCE_SECONDS || 3);
+
+// Narration languages (keep in sync with LANGUAGES in the worker). The worker's env
+// HEYGEN_VOICE_ID_* voices speak ENV_VOICE_LANGUAGE; other languages need rows in voices.
+const LANGUAGES = ["en", "es", "pl"];
+
+// Photo-only jobs (sourceType "photos"): ordered listing photos instead of a walkthrough
+const MAX_IMAGE_URLS = Number(process.env.MAX_IMAGE_URLS || 40);
+const ENV_VOICE_LANGUAGE = process.env.ENV_VOICE_LANGUAGE || "en";
+
+// Montage transitions (keep in sync with XFADE_TRANSITIONS in the worker; null = the worker's MONTAGE_TRANSITION)
+const TRANSITIONS = ["cut", "crossfade", "dip", "whip"];
+
+// Composite layouts and their aspect-ratio variants come from the layouts table, which the worker
+// publishes from layouts/*.json. Checked here so a bad layout fails at submit time, not after
+// HeyGen has been paid for. The first rendition requested is the job's primary output (final_public_url).
+const LAYOUTS_CACHE_MS = Number(process.env.LAYOUTS_CACHE_MS || 60000);
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
 
 const app = express();
-app.use(express.json({ limit: "25mb" }));
+app.use(
+  express.json({
+    limit: "25mb",
+    // Keep the exact bytes for webhook signature checks
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 console.log("🔥 REELESTATE API LOADED");
 
@@ -31,15 +85,537 @@ app.get("/", (req, res) => {
   res.json({ ok: true, service: "reelestate-api" });
 });
 
+/* ==============================
+   HELPERS
+============================== */
+function isHttpUrl(s) {
+  try {
+    const u = new URL(String(s));
+    return u.protocol === "https:" || u.protocol === "http:";
+  } catch {
+    return false;
+  }
+}
+
+// Callbacks are https to a named host; the worker also refuses to connect if the name resolves to a non-public address
+function callbackUrlError(s) {
+  let u;
+  try {
+    u = new URL(String(s));
+  } catch {
+    return "callbackUrl must be a URL";
+  }
+  if (u.protocol !== "https:") return "callbackUrl must be an https URL";
+
+  const host = u.hostname.toLowerCase();
+  if (host === "localhost" || host.endsWith(".localhost") || host.endsWith(".internal") || net.isIP(host.replace(/^\[|\]$/g, "")))
+    return "callbackUrl must use a public host name";
+
+  return null;
+}
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges (same rule as the worker's)
+function isPublicAddress(ip) {
+  if (net.isIPv4(ip)) {
+    const [a, b] = ip.split(".").map(Number);
+    return !(
+      a === 0 ||
+      a === 10 ||
+      a === 127 ||
+      a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 198 && (b === 18 || b === 19))
+    );
+  }
+
+  const v6 = ip.toLowerCase();
+  const mapped = v6.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPublicAddress(mapped[1]);
+  return !(v6 === "::" || v6 === "::1" || /^f[cd]/.test(v6) || /^fe[89ab]/.test(v6) || v6.startsWith("ff"));
+}
+
+// Returns why a tenant URL must not be fetched from the API host, or null. Every address it resolves to must be public.
+async function remoteUrlError(s) {
+  const host = new URL(String(s)).hostname.replace(/^\[|\]$/g, "");
+
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true });
+  } catch {
+    return `could not resolve ${host}`;
+  }
+
+  return addresses.every((a) => isPublicAddress(a.address)) ? null : `${host} is not a public host`;
+}
+
+// Queues a status event for the worker to deliver (see webhook_deliveries / enqueue_job_event)
+async function enqueueJobEvent(job, status, data = {}) {
+  if (!job?.callback_url) return;
+
+  const { error } = await supabase.rpc("enqueue_job_event", { p_job_id: job.id, p_status: status, p_data: data });
+  if (error) console.error("⚠️ Could not queue status event:", job.id, status, error.message);
+}
+
+/* ==============================
+   AUTH — API keys, tenants, rate limits, quotas
+   - api_keys.key_hash = sha256(key); the raw key is only shown once when issued
+   - rate limit is a fixed one-minute window per tenant, per API instance
+============================== */
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+function readApiKey(req) {
+  const auth = String(req.get("authorization") || "");
+  if (/^bearer\s+/i.test(auth)) return auth.replace(/^bearer\s+/i, "").trim();
+  return String(req.get("x-api-key") || "").trim() || null;
+}
+
+const rateWindows = new Map(); // tenant_id -> { start, count }
+
+// Returns seconds to wait, or 0 if the request is allowed
+function hitRateLimit(tenantId, limitPerMinute) {
+  const now = Date.now();
+  let w = rateWindows.get(tenantId);
+  if (!w || now - w.start >= 60000) {
+    w = { start: now, count: 0 };
+    rateWindows.set(tenantId, w);
+  }
+
+  w.count += 1;
+  if (w.count <= limitPerMinute) return 0;
+  return Math.max(1, Math.ceil((w.start + 60000 - now) / 1000));
+}
+
+async function requireApiKey(req, res, next) {
+  try {
+    const key = readApiKey(req);
+    if (!key)
+      return res.status(401).json({ ok: false, error: "API key required" });
+
+    const { data: apiKey, error } = await supabase
+      .from("api_keys")
+      .select("id, tenant_id, revoked_at, tenants(id, name, monthly_render_quota, rate_limit_per_minute, disabled_at)")
+      .eq("key_hash", hashApiKey(key))
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!apiKey || apiKey.revoked_at)
+      return res.status(401).json({ ok: false, error: "Invalid API key" });
+
+    const tenant = apiKey.tenants;
+    if (!tenant || tenant.disabled_at)
+      return res.status(403).json({ ok: false, error: "Tenant disabled" });
+
+    const retryAfter = hitRateLimit(tenant.id, Number(tenant.rate_limit_per_minute || RATE_LIMIT_PER_MINUTE));
+    if (retryAfter) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ ok: false, error: "Rate limit exceeded" });
+    }
+
+    req.tenant = tenant;
+    next();
+
+  } catch (err) {
+    console.error("❌ AUTH ERROR:", err);
+    res.status(500).json({ ok: false });
+  }
+}
+
+// Seconds until the monthly quota resets (start of the next UTC month)
+function quotaResetSeconds() {
+  const now = new Date();
+  const nextMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  return Math.ceil((nextMonth - now) / 1000);
+}
+
+// Seconds until the quota resets (0 = quota available). Only an early exit before the media probe:
+// createJobWithinQuota is what enforces the quota, atomically with the insert.
+async function checkMonthlyQuota(tenant) {
+  const now = new Date();
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+  const { count, error } = await supabase
+    .from("render_jobs")
+    .select("id", { count: "exact", head: true })
+    .eq("tenant_id", tenant.id)
+    .gte("created_at", monthStart.toISOString());
+
+  if (error) throw error;
+
+  const quota = Number(tenant.monthly_render_quota ?? DEFAULT_MONTHLY_QUOTA);
+  if ((count || 0) < quota) return 0;
+  return quotaResetSeconds();
+}
+
+// Inserts the job unless the tenant is over quota (create_render_job locks the tenant row,
+// so concurrent creates can't all pass the count). Returns the job id, or null when over quota.
+async function createJobWithinQuota(tenant, row) {
+  const { data, error } = await supabase.rpc("create_render_job", {
+    p_job: { ...row, tenant_id: tenant.id },
+    p_default_quota: DEFAULT_MONTHLY_QUOTA,
+  });
+
+  if (error) throw error;
+  return data || null;
+}
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Jobs are only visible to the tenant that created them (404 otherwise, so ids don't leak)
+async function findTenantJob(req, columns = "*") {
+  if (!UUID_RE.test(String(req.params.id))) return null; // not an id at all: same 404
+
+  const { data, error } = await supabase
+    .from("render_jobs")
+    .select(columns)
+    .eq("id", req.params.id)
+    .eq("tenant_id", req.tenant.id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/* ==============================
+   DIRECT UPLOADS
+   - POST /uploads returns a signed upload URL for uploads/<tenant_id>/<uuid>.<ext>
+   - the client PUTs the file there, then creates the job with walkthroughPath
+============================== */
+function uploadPrefix(tenant) {
+  return `uploads/${tenant.id}/`;
+}
+
+// Returns an error message, or null when the object exists and belongs to the tenant
+async function checkUploadedObject(tenant, objectPath) {
+  const p = String(objectPath || "");
+  if (!p.startsWith(uploadPrefix(tenant)) || p.includes(".."))
+    return "walkthroughPath must be a path returned by POST /uploads";
+
+  const dir = p.slice(0, p.lastIndexOf("/"));
+  const name = p.slice(p.lastIndexOf("/") + 1);
+
+  const { data, error } = await supabase.storage.from(STORAGE_BUCKET).list(dir, { search: name, limit: 1 });
+  if (error) throw error;
+
+  if (!data?.some((o) => o.name === name))
+    return "walkthroughPath not found (upload the file first)";
+
+  return null;
+}
+
+app.post("/uploads", requireApiKey, async (req, res) => {
+  try {
+    const contentType = String(req.body?.contentType || "video/mp4").toLowerCase();
+    if (!UPLOAD_CONTENT_TYPES.includes(contentType))
+      return res.status(400).json({ ok: false, error: `contentType must be one of ${UPLOAD_CONTENT_TYPES.join(", ")}` });
+
+    const ext = { "video/quicktime": ".mov", "video/x-m4v": ".m4v", "video/webm": ".webm" }[contentType] || ".mp4";
+    const objectPath = `${uploadPrefix(req.tenant)}${crypto.randomUUID()}${ext}`;
+
+    const { data, error } = await supabase.storage.from(STORAGE_BUCKET).createSignedUploadUrl(objectPath);
+    if (error) throw error;
+
+    res.status(201).json({
+      ok: true,
+      upload: {
+        path: data.path,
+        signedUrl: data.signedUrl,
+        token: data.token,
+        method: "PUT",
+        contentType,
+        expiresInSeconds: 7200, // Supabase signed upload URLs last 2 hours
+      },
+    });
+
+  } catch (err) {
+    console.error("❌ CREATE UPLOAD ERROR:", err);
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+/* ==============================
+   MEDIA PROBE
+   - ffprobe reads the walkthrough straight from its URL (headers + index only), over http(s) only
+   - tenant URLs must resolve to public addresses; ffprobe's own error text is logged, never returned
+   - hard errors come back as field-level 422s; the summary is stored in render_jobs.media_probe
+============================== */
+function runFFprobeJson(input) {
+  return new Promise((resolve, reject) => {
+    const args = ["-v", "error", "-print_format", "json", "-show_format", "-show_streams"];
+    // No file:, concat:, data: etc., including in playlists the URL points at
+    args.push("-protocol_whitelist", "http,https,tls,tcp");
+    if (/^https?:/i.test(input)) args.push("-rw_timeout", String(30 * 1000000)); // µs
+    args.push(input);
+
+    const fp = spawn(FFPROBE_PATH, args);
+    let out = "";
+    let err = "";
+    const timer = setTimeout(() => fp.kill("SIGKILL"), PROBE_TIMEOUT_MS);
+
+    fp.stdout.on("data", (d) => (out += d.toString()));
+    fp.stderr.on("data", (d) => (err += d.toString()));
+    fp.on("error", (e) => {
+      clearTimeout(timer);
+      reject(e);
+    });
+    fp.on("close", (code, signal) => {
+      clearTimeout(timer);
+      if (signal) return reject(new Error(`ffprobe timed out after ${PROBE_TIMEOUT_MS / 1000}s`));
+      if (code !== 0) return reject(new Error(String(err || out || `ffprobe failed (${code})`).trim().slice(0, 300)));
+      try {
+        resolve(JSON.parse(out));
+      } catch {
+        reject(new Error("ffprobe returned invalid JSON"));
+      }
+    });
+  });
+}
+
+function parseRate(r) {
+  const [n, d] = String(r || "0/0").split("/").map(Number);
+  return d ? n / d : 0;
+}
+
+function streamRotation(stream) {
+  const fromMatrix = (stream.side_data_list || []).find((sd) => sd.rotation != null)?.rotation;
+  const rot = Number(fromMatrix ?? stream.tags?.rotate ?? 0) || 0;
+  return ((Math.round(rot / 90) * 90) % 360 + 360) % 360;
+}
+
+// Returns { errors: { field: message }, probe } — probe is null when the file couldn't be read
+async function probeWalkthrough(url) {
+  let raw;
+  try {
+    raw = await runFFprobeJson(url);
+  } catch (err) {
+    console.log("⚠️ ffprobe failed:", err.message);
+    return { errors: { walkthrough: "could not read media (check the URL serves a video file)" }, probe: null };
+  }
+
+  const errors = {};
+  const format = raw.format || {};
+  const streams = raw.streams || [];
+  const video = streams.find((s) => s.codec_type === "video" && !s.disposition?.attached_pic);
+  const audio = streams.find((s) => s.codec_type === "audio");
+  const duration = Number(format.duration || video?.duration || 0) || null;
+
+  const containers = String(format.format_name || "").split(",");
+  if (!containers.some((c) => PROBE_CONTAINERS.includes(c)))
+    errors.container = `unsupported container ${format.format_name || "unknown"} (use MP4, MOV, MKV or WebM)`;
+
+  let videoInfo = null;
+  if (!video) {
+    errors.video = "no video stream";
+  } else {
+    const rotation = streamRotation(video);
+    const sideways = rotation === 90 || rotation === 270;
+    const width = Number(video.width || 0);
+    const height = Number(video.height || 0);
+    const fps = parseRate(video.avg_frame_rate) || parseRate(video.r_frame_rate);
+    const nominal = parseRate(video.r_frame_rate);
+
+    videoInfo = {
+      codec: video.codec_name,
+      width,
+      height,
+      rotation,
+      display_width: sideways ? height : width,
+      display_height: sideways ? width : height,
+      fps: Math.round(fps * 100) / 100,
+      // avg vs nominal rate disagreeing by >5% = phone-style variable frame rate
+      vfr: Boolean(fps && nominal && Math.abs(nominal - fps) / nominal > 0.05),
+    };
+
+    if (!PROBE_VIDEO_CODECS.includes(video.codec_name))
+      errors.codec = `unsupported video codec ${video.codec_name} (use H.264, HEVC, VP9 or AV1)`;
+
+    if (Math.min(width, height) < MIN_VIDEO_SHORT_SIDE)
+      errors.resolution = `${width}x${height} is too small (min ${MIN_VIDEO_SHORT_SIDE}px on the short side)`;
+  }
+
+  // No audio is fine: the worker plans silent walkthroughs from scene analysis
+  if (!duration)
+    errors.duration = "could not determine duration";
+  else if (duration > MAX_TRANSCRIBE_SECONDS)
+    errors.duration = `${Math.round(duration)}s is too long (max ${MAX_TRANSCRIBE_SECONDS}s)`;
+  else if (duration < MIN_WALKTHROUGH_SECONDS)
+    errors.duration = `${Math.round(duration)}s is too short (min ${MIN_WALKTHROUGH_SECONDS}s)`;
+
+  const probe = {
+    container: format.format_name || null,
+    duration,
+    size_bytes: Number(format.size || 0) || null,
+    bit_rate: Number(format.bit_rate || 0) || null,
+    video: videoInfo,
+    audio: audio
+      ? { codec: audio.codec_name, channels: audio.channels, sample_rate: Number(audio.sample_rate || 0) || null }
+      : null,
+    probed_at: new Date().toISOString(),
+  };
+
+  return { errors, probe };
+}
+
+async function walkthroughProbeUrl(walkthroughUrl, walkthroughPath) {
+  if (walkthroughUrl) return walkthroughUrl;
+
+  const { data, error } = await supabase.storage.from(STORAGE_BUCKET).createSignedUrl(walkthroughPath, 600);
+  if (error) throw error;
+  return data.signedUrl;
+}
+
+/* ==============================
+   LAYOUTS
+============================== */
+let layoutsCache = null;
+
+// { ratios: { <name>: ["9:16", …] }, defaultName, renditions: every ratio any layout has }
+async function availableLayouts() {
+  if (layoutsCache && Date.now() - layoutsCache.loadedAt < LAYOUTS_CACHE_MS) return layoutsCache;
+
+  const { data, error } = await supabase.from("layouts").select("name, ratios, is_default");
+  if (error) throw error;
+
+  const rows = data || [];
+  layoutsCache = {
+    loadedAt: Date.now(),
+    ratios: Object.fromEntries(rows.map((r) => [r.name, r.ratios || []])),
+    defaultName: rows.find((r) => r.is_default)?.name || null,
+    renditions: [...new Set(rows.flatMap((r) => r.ratios || []))],
+  };
+  return layoutsCache;
+}
+
+/* ==============================
+   LISTING DETAILS
+   - optional `listing` object on job creation, stored snake_case in render_jobs.listing
+   - the worker treats it as ground truth for the script and shows it in the lower third
+============================== */
+const LISTING_FIELDS = {
+  address: { column: "address", type: "string" },
+  price: { column: "price", type: "number", min: 0, max: 1e10 },
+  currency: { column: "currency", type: "currency" },
+  bedrooms: { column: "bedrooms", type: "integer", min: 0, max: 50 },
+  bathrooms: { column: "bathrooms", type: "number", min: 0, max: 50 },
+  area: { column: "area", type: "number", min: 1, max: 1e6 },
+  areaUnit: { column: "area_unit", type: "enum", values: ["sqft", "m2"] },
+  agentName: { column: "agent_name", type: "string" },
+  agentPhone: { column: "agent_phone", type: "phone" },
+  agentEmail: { column: "agent_email", type: "email" },
+  features: { column: "features", type: "strings", max: 20 },
+  listingUrl: { column: "listing_url", type: "url" },
+  agentPhotoUrl: { column: "agent_photo_url", type: "url" },
+};
+
+function parseListing(body) {
+  const errors = {};
+  const listing = {};
+
+  if (!body || typeof body !== "object" || Array.isArray(body))
+    return { errors: { listing: "must be an object" }, listing };
+
+  for (const field of Object.keys(body)) {
+    if (!LISTING_FIELDS[field]) errors[`listing.${field}`] = "unknown field";
+  }
+
+  for (const [field, spec] of Object.entries(LISTING_FIELDS)) {
+    const v = body[field];
+    if (v == null) continue;
+
+    const err = validateField(spec, v);
+    if (err) errors[`listing.${field}`] = err;
+    else
+      listing[spec.column] =
+        spec.type === "number" || spec.type === "integer" ? Number(v)
+        : spec.type === "strings" ? v.map((s) => s.trim())
+        : typeof v === "string" ? v.trim()
+        : v;
+  }
+
+  if (listing.area != null && !listing.area_unit) errors["listing.areaUnit"] = "required with area";
+  if (listing.price != null && !listing.currency) errors["listing.currency"] = "required with price";
+
+  return { errors, listing };
+}
+
 /* ==============================
    CREATE JOB
 ============================== */
-app.post("/compose-walkthrough", async (req, res) => {
+async function hasVoiceFor(language, gender) {
+  if (language === ENV_VOICE_LANGUAGE) return true;
+
+  const { data, error } = await supabase
+    .from("voices")
+    .select("id")
+    .eq("language", language)
+    .eq("gender", gender)
+    .limit(1);
+
+  if (error) throw error;
+  return Boolean(data?.length);
+}
+
+app.post("/compose-walkthrough", requireApiKey, async (req, res) => {
   try {
-    const { walkthroughUrl, maxSeconds = 20, avatarType, email } = req.body;
+    const {
+      sourceType = "walkthrough",
+      walkthroughUrl,
+      walkthroughPath,
+      imageUrls,
+      maxSeconds = 20,
+      avatarType,
+      email,
+      callbackUrl = null,
+      brandId = null,
+      layout = null,
+      requireApproval = false,
+      language = "en",
+      listing = null,
+      introCard = true,
+      outroCard = true,
+      renditions = ["9:16"],
+      transition = null,
+    } = req.body;
 
-    if (!walkthroughUrl)
-      return res.status(400).json({ ok: false, error: "walkthroughUrl required" });
+    if (!["walkthrough", "photos"].includes(sourceType))
+      return res.status(400).json({ ok: false, error: "sourceType must be 'walkthrough' or 'photos'" });
+
+    const isPhotos = sourceType === "photos";
+
+    if (isPhotos) {
+      if (walkthroughUrl || walkthroughPath)
+        return res.status(400).json({ ok: false, error: "photo jobs take imageUrls, not a walkthrough" });
+
+      if (!Array.isArray(imageUrls) || !imageUrls.length || imageUrls.length > MAX_IMAGE_URLS)
+        return res.status(400).json({ ok: false, error: `imageUrls must be an array of 1–${MAX_IMAGE_URLS} URLs` });
+
+      const bad = imageUrls.findIndex((u) => !isHttpUrl(u));
+      if (bad !== -1)
+        return res.status(400).json({ ok: false, error: `imageUrls[${bad}] must be an http(s) URL` });
+    } else {
+      if (imageUrls != null)
+        return res.status(400).json({ ok: false, error: "imageUrls is only for sourceType 'photos'" });
+
+      if (!walkthroughUrl && !walkthroughPath)
+        return res.status(400).json({ ok: false, error: "walkthroughUrl or walkthroughPath required" });
+
+      if (walkthroughUrl && walkthroughPath)
+        return res.status(400).json({ ok: false, error: "send walkthroughUrl or walkthroughPath, not both" });
+    }
+
+    if (walkthroughUrl && !isHttpUrl(walkthroughUrl))
+      return res.status(400).json({ ok: false, error: "walkthroughUrl must be an http(s) URL" });
+
+    if (walkthroughPath) {
+      const check = await checkUploadedObject(req.tenant, walkthroughPath);
+      if (check)
+        return res.status(400).json({ ok: false, error: check });
+    }
 
     if (!email)
       return res.status(400).json({ ok: false, error: "email required" });
@@ -47,23 +623,117 @@ app.post("/compose-walkthrough", async (req, res) => {
     if (!avatarType || !["male", "female"].includes(String(avatarType).toLowerCase()))
       return res.status(400).json({ ok: false, error: "avatarType must be 'male' or 'female'" });
 
-    const { data: job, error } = await supabase
-      .from("render_jobs")
-      .insert({
-        status: "queued",
-        walkthrough_url: walkthroughUrl,
-        max_seconds: maxSeconds,
-        avatar_type: String(avatarType).toLowerCase(),
-        email,
-      })
-      .select("*")
-      .single();
+    let listingRow = null;
+    if (listing != null) {
+      const parsed = parseListing(listing);
+      if (Object.keys(parsed.errors).length)
+        return res.status(400).json({ ok: false, error: "invalid listing", fields: parsed.errors });
+      listingRow = parsed.listing;
+    }
 
-    if (error) throw error;
+    if (typeof introCard !== "boolean" || typeof outroCard !== "boolean")
+      return res.status(400).json({ ok: false, error: "introCard and outroCard must be booleans" });
+
+    const layouts = await availableLayouts();
+    if (!layouts.defaultName)
+      return res.status(503).json({ ok: false, error: "No layouts published yet (no worker has started)" });
+
+    if (
+      !Array.isArray(renditions) ||
+      !renditions.length ||
+      new Set(renditions).size !== renditions.length ||
+      renditions.some((r) => !layouts.renditions.includes(r))
+    )
+      return res.status(400).json({ ok: false, error: `renditions must be a list of distinct: ${layouts.renditions.join(", ")}` });
+
+    if (transition != null && !TRANSITIONS.includes(transition))
+      return res.status(400).json({ ok: false, error: `transition must be one of: ${TRANSITIONS.join(", ")}` });
 
-    console.log("✅ Job created:", job.id);
+    if (layout != null && !Object.hasOwn(layouts.ratios, layout))
+      return res.status(400).json({ ok: false, error: `layout must be one of: ${Object.keys(layouts.ratios).join(", ")}` });
 
-    res.json({ ok: true, job_id: job.id });
+    const layoutName = layout ?? layouts.defaultName;
+    const missing = renditions.filter((r) => !layouts.ratios[layoutName].includes(r));
+    if (missing.length)
+      return res.status(400).json({ ok: false, error: `layout ${layoutName} has no ${missing.join(", ")} variant` });
+
+    const lang = String(language).toLowerCase();
+    if (!LANGUAGES.includes(lang))
+      return res.status(400).json({ ok: false, error: `language must be one of: ${LANGUAGES.join(", ")}` });
+
+    const callbackErr = callbackUrl ? callbackUrlError(callbackUrl) : null;
+    if (callbackErr)
+      return res.status(400).json({ ok: false, error: callbackErr });
+
+    if (brandId && !UUID_RE.test(String(brandId)))
+      return res.status(400).json({ ok: false, error: "brandId not found" });
+
+    if (brandId) {
+      const { data: brand, error: brandErr } = await supabase
+        .from("brands")
+        .select("id")
+        .eq("id", brandId)
+        .eq("tenant_id", req.tenant.id)
+        .maybeSingle();
+
+      if (brandErr) throw brandErr;
+      if (!brand)
+        return res.status(400).json({ ok: false, error: "brandId not found" });
+    }
+
+    // Fail here rather than after Whisper + GPT when no voice can read the script
+    if (!(await hasVoiceFor(lang, String(avatarType).toLowerCase())))
+      return res.status(400).json({ ok: false, error: `No ${lang} ${String(avatarType).toLowerCase()} voice available` });
+
+    const quotaResetIn = await checkMonthlyQuota(req.tenant);
+    if (quotaResetIn) {
+      res.set("Retry-After", String(quotaResetIn));
+      return res.status(429).json({ ok: false, error: "Monthly render quota exceeded" });
+    }
+
+    // Last, since it reads the file: reject bad media before it takes a worker slot
+    let probe = null;
+    if (!isPhotos) {
+      const remoteErr = walkthroughUrl ? await remoteUrlError(walkthroughUrl) : null;
+      if (remoteErr)
+        return res.status(400).json({ ok: false, error: `walkthroughUrl: ${remoteErr}` });
+
+      const checked = await probeWalkthrough(await walkthroughProbeUrl(walkthroughUrl, walkthroughPath));
+      if (Object.keys(checked.errors).length)
+        return res.status(422).json({ ok: false, error: "invalid walkthrough", fields: checked.errors, probe: checked.probe });
+      probe = checked.probe;
+    }
+
+    const jobId = await createJobWithinQuota(req.tenant, {
+      status: "queued",
+      source_type: sourceType,
+      walkthrough_url: walkthroughUrl || null,
+      walkthrough_storage_path: walkthroughPath || null,
+      image_urls: isPhotos ? imageUrls : null,
+      max_seconds: maxSeconds,
+      avatar_type: String(avatarType).toLowerCase(),
+      language: lang,
+      listing: listingRow,
+      intro_card: introCard,
+      outro_card: outroCard,
+      renditions,
+      transition,
+      email,
+      callback_url: callbackUrl,
+      brand_id: brandId,
+      layout,
+      require_approval: Boolean(requireApproval),
+      media_probe: probe,
+    });
+
+    if (!jobId) {
+      res.set("Retry-After", String(quotaResetSeconds()));
+      return res.status(429).json({ ok: false, error: "Monthly render quota exceeded" });
+    }
+
+    console.log("✅ Job created:", jobId);
+
+    res.json({ ok: true, job_id: jobId });
 
   } catch (err) {
     console.error("❌ CREATE JOB ERROR:", err);
@@ -72,17 +742,216 @@ app.post("/compose-walkthrough", async (req, res) => {
 });
 
 /* ==============================
-   JOB STATUS (Optional)
+   BRAND PROFILES
+   - request fields are camelCase, stored snake_case in brands
+   - anything left unset falls back to the worker's env defaults
 ============================== */
-app.get("/job/:id", async (req, res) => {
+const BRAND_FIELDS = {
+  name: { column: "name", type: "string" },
+  logoUrl: { column: "logo_url", type: "url" },
+  logoWidth: { column: "logo_w", type: "number", min: 40, max: 1080 },
+  barColor: { column: "bar_color", type: "color" },
+  barOpacity: { column: "bar_opacity", type: "number", min: 0, max: 1 },
+  fontFile: { column: "font_file", type: "font" },
+  textColor: { column: "text_color", type: "color" },
+  captionColor: { column: "caption_color", type: "color" },
+  captionHighlightColor: { column: "caption_highlight_color", type: "color" },
+  lowerThirdText: { column: "lower_third_text", type: "string" },
+  avatarPosition: { column: "avatar_position", type: "enum", values: ["left", "right"] },
+  avatarWidth: { column: "avatar_width", type: "number", min: 200, max: 1080 },
+  avatarMarginX: { column: "avatar_margin_x", type: "number", min: 0, max: 540 },
+  avatarGapY: { column: "avatar_gap_y", type: "number", min: 0, max: 600 }, // between the avatar and the lower third
+};
+
+// Shared by brand profiles and listing details
+function validateField(spec, v) {
+  switch (spec.type) {
+    case "string":
+      return typeof v === "string" && v.trim() && v.length <= 200 ? null : "must be a non-empty string (max 200)";
+    case "integer": {
+      const n = Number(v);
+      return Number.isInteger(n) && n >= spec.min && n <= spec.max ? null : `must be an integer ${spec.min}–${spec.max}`;
+    }
+    case "currency":
+      return /^[A-Z]{3}$/.test(String(v)) ? null : "must be an ISO 4217 code like USD";
+    case "phone":
+      return /^\+?[\d\s().-]{5,40}$/.test(String(v)) ? null : "must be a phone number";
+    case "email":
+      return typeof v === "string" && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v) && v.length <= 200 ? null : "must be an email address";
+    case "strings":
+      return Array.isArray(v) && v.length <= spec.max && v.every((s) => typeof s === "string" && s.trim() && s.length <= 100)
+        ? null
+        : `must be an array of up to ${spec.max} short strings`;
+    case "url":
+      return isHttpUrl(v) ? null : "must be an http(s) URL";
+    case "number": {
+      const n = Number(v);
+      return Number.isFinite(n) && n >= spec.min && n <= spec.max ? null : `must be a number ${spec.min}–${spec.max}`;
+    }
+    case "color":
+      return /^#[0-9a-f]{6}$/i.test(String(v)) ? null : "must be a hex colour like #1A2B3C";
+    case "font":
+      // Remote TTF/OTF, or a font installed on the worker image
+      return (isHttpUrl(v) && /\.(ttf|otf)(\?|$)/i.test(v)) || /^\/usr\/share\/fonts\/[\w./-]+\.(ttf|otf)$/i.test(String(v))
+        ? null
+        : "must be a .ttf/.otf URL or a /usr/share/fonts path";
+    case "enum":
+      return spec.values.includes(v) ? null : `must be one of ${spec.values.join(", ")}`;
+    default:
+      return "unsupported";
+  }
+}
+
+// partial = PATCH semantics; null clears a field (back to worker default)
+function parseBrandInput(body, { partial = false } = {}) {
+  const errors = {};
+  const row = {};
+
+  for (const [field, spec] of Object.entries(BRAND_FIELDS)) {
+    if (!(field in (body || {}))) continue;
+    const v = body[field];
+
+    if (v === null && field !== "name") {
+      row[spec.column] = null;
+      continue;
+    }
+
+    const err = validateField(spec, v);
+    if (err) errors[field] = err;
+    else row[spec.column] = spec.type === "number" ? Number(v) : typeof v === "string" ? v.trim() : v;
+  }
+
+  if (!partial && !row.name) errors.name = errors.name || "required";
+
+  return { errors, row };
+}
+
+app.post("/brands", requireApiKey, async (req, res) => {
   try {
+    const { errors, row } = parseBrandInput(req.body);
+    if (Object.keys(errors).length)
+      return res.status(400).json({ ok: false, error: "invalid brand", fields: errors });
+
     const { data, error } = await supabase
-      .from("render_jobs")
+      .from("brands")
+      .insert({ ...row, tenant_id: req.tenant.id })
       .select("*")
-      .eq("id", req.params.id)
       .single();
 
-    if (error || !data)
+    if (error) throw error;
+
+    res.status(201).json({ ok: true, brand: data });
+
+  } catch (err) {
+    console.error("❌ CREATE BRAND ERROR:", err);
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+app.get("/brands", requireApiKey, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("brands")
+      .select("*")
+      .eq("tenant_id", req.tenant.id)
+      .order("created_at", { ascending: true });
+
+    if (error) throw error;
+
+    res.json({ ok: true, brands: data || [] });
+
+  } catch (err) {
+    console.error("❌ LIST BRANDS ERROR:", err);
+    res.status(500).json({ ok: false });
+  }
+});
+
+app.get("/brands/:id", requireApiKey, async (req, res) => {
+  try {
+    if (!UUID_RE.test(String(req.params.id)))
+      return res.status(404).json({ ok: false, error: "Brand not found" });
+
+    const { data, error } = await supabase
+      .from("brands")
+      .select("*")
+      .eq("id", req.params.id)
+      .eq("tenant_id", req.tenant.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data)
+      return res.status(404).json({ ok: false, error: "Brand not found" });
+
+    res.json({ ok: true, brand: data });
+
+  } catch (err) {
+    console.error("❌ GET BRAND ERROR:", err);
+    res.status(500).json({ ok: false });
+  }
+});
+
+app.patch("/brands/:id", requireApiKey, async (req, res) => {
+  try {
+    if (!UUID_RE.test(String(req.params.id)))
+      return res.status(404).json({ ok: false, error: "Brand not found" });
+
+    const { errors, row } = parseBrandInput(req.body, { partial: true });
+    if (Object.keys(errors).length)
+      return res.status(400).json({ ok: false, error: "invalid brand", fields: errors });
+
+    const { data, error } = await supabase
+      .from("brands")
+      .update({ ...row, updated_at: new Date().toISOString() })
+      .eq("id", req.params.id)
+      .eq("tenant_id", req.tenant.id)
+      .select("*")
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data)
+      return res.status(404).json({ ok: false, error: "Brand not found" });
+
+    res.json({ ok: true, brand: data });
+
+  } catch (err) {
+    console.error("❌ UPDATE BRAND ERROR:", err);
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+app.delete("/brands/:id", requireApiKey, async (req, res) => {
+  try {
+    if (!UUID_RE.test(String(req.params.id)))
+      return res.status(404).json({ ok: false, error: "Brand not found" });
+
+    const { data, error } = await supabase
+      .from("brands")
+      .delete()
+      .eq("id", req.params.id)
+      .eq("tenant_id", req.tenant.id)
+      .select("id")
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data)
+      return res.status(404).json({ ok: false, error: "Brand not found" });
+
+    res.json({ ok: true });
+
+  } catch (err) {
+    console.error("❌ DELETE BRAND ERROR:", err);
+    res.status(500).json({ ok: false });
+  }
+});
+
+/* ==============================
+   JOB STATUS (Optional)
+============================== */
+app.get("/job/:id", requireApiKey, async (req, res) => {
+  try {
+    const data = await findTenantJob(req);
+
+    if (!data)
       return res.status(404).json({ ok: false, error: "Job not found" });
 
     res.json({ ok: true, job: data });
@@ -94,59 +963,389 @@ app.get("/job/:id", async (req, res) => {
 });
 
 /* ==============================
-   HEYGEN WEBHOOK (CORRECT FOR YOUR PAYLOAD)
+   PLAN REVIEW (require_approval jobs)
+   - plan lives in script_text as JSON { targetSeconds, script, segments: [{start,end,line}] }
+   - editable only while awaiting_approval; approve hands the job back to the worker
 ============================== */
-app.post("/heygen-callback", async (req, res) => {
-  // Respond immediately (prevents retries)
-  res.json({ ok: true });
+// rules = { duration, targetSeconds } for walkthrough plans (same checks as the worker's planner);
+// null for photo plans, whose slides have no length limits or source video
+function validatePlanEdit(body, rules) {
+  const errors = {};
+  const out = {};
 
-  try {
-    const token = req.query?.token ? String(req.query.token) : null;
-    const jobId = req.query?.job_id ? String(req.query.job_id) : null;
+  if ("script" in body) {
+    if (typeof body.script !== "string" || !body.script.trim() || body.script.length > 5000)
+      errors.script = "must be a non-empty string (max 5000 chars)";
+    else out.script = body.script.trim();
+  }
+
+  if ("segments" in body) {
+    const segs = body.segments;
+    if (!Array.isArray(segs) || !segs.length || segs.length > 60) {
+      errors.segments = "must be an array of 1–60 segments";
+    } else {
+      let lastEnd = 0;
+      out.segments = [];
 
-    if (HEYGEN_WEBHOOK_SECRET && token !== HEYGEN_WEBHOOK_SECRET) {
-      console.log("❌ Invalid webhook token");
-      return;
+      segs.forEach((seg, i) => {
+        const start = Number(seg?.start);
+        const end = Number(seg?.end);
+        const line = String(seg?.line ?? "").trim();
+        const image = seg?.image; // photo jobs: index into image_urls
+
+        if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start)
+          errors[`segments[${i}]`] = "start/end must be numbers with end > start >= 0";
+        else if (start < lastEnd)
+          errors[`segments[${i}]`] = "segments must be chronological and not overlap";
+        else if (rules?.duration && end > rules.duration + 0.5)
+          errors[`segments[${i}]`] = `outside the walkthrough (0–${Math.floor(rules.duration)}s)`;
+        else if (rules && (end - start < PLAN_MIN_SEGMENT_SECONDS || end - start > PLAN_MAX_SEGMENT_SECONDS))
+          errors[`segments[${i}]`] = `must be ${PLAN_MIN_SEGMENT_SECONDS}–${PLAN_MAX_SEGMENT_SECONDS}s long`;
+        else if (line.length > 500)
+          errors[`segments[${i}].line`] = "max 500 chars";
+        else if (image != null && !(Number.isInteger(image) && image >= 0))
+          errors[`segments[${i}].image`] = "must be an image index";
+        else {
+          out.segments.push(image == null ? { start, end, line } : { start, end, line, image });
+          lastEnd = end;
+        }
+      });
+
+      // A walkthrough shorter than the target can only fill its own length
+      if (rules?.targetSeconds && !Object.keys(errors).length) {
+        const wanted = rules.duration ? Math.min(rules.targetSeconds, rules.duration) : rules.targetSeconds;
+        const total = out.segments.reduce((sum, seg) => sum + (seg.end - seg.start), 0);
+        if (Math.abs(total - wanted) > PLAN_TOTAL_TOLERANCE_SECONDS)
+          errors.segments = `segments total ${total.toFixed(1)}s, must be ${Math.floor(wanted)}s ±${PLAN_TOTAL_TOLERANCE_SECONDS}s`;
+      }
     }
+  }
 
-    if (!jobId) {
-      console.log("❌ Missing job_id");
-      return;
+  return { errors, out };
+}
+
+app.get("/job/:id/plan", requireApiKey, async (req, res) => {
+  try {
+    const job = await findTenantJob(req, "id, status, script_text");
+    if (!job)
+      return res.status(404).json({ ok: false, error: "Job not found" });
+
+    let plan = null;
+    try {
+      plan = job.script_text ? JSON.parse(job.script_text) : null;
+    } catch {}
+
+    res.json({ ok: true, status: job.status, plan });
+
+  } catch (err) {
+    console.error("❌ GET PLAN ERROR:", err);
+    res.status(500).json({ ok: false });
+  }
+});
+
+app.put("/job/:id/plan", requireApiKey, async (req, res) => {
+  try {
+    const job = await findTenantJob(req, "id, status, script_text, source_type, image_urls, media_probe, max_seconds");
+    if (!job)
+      return res.status(404).json({ ok: false, error: "Job not found" });
+
+    if (job.status !== "awaiting_approval")
+      return res.status(409).json({ ok: false, error: `Plan can't be edited in status ${job.status}` });
+
+    let plan = {};
+    try {
+      plan = JSON.parse(job.script_text || "{}") || {};
+    } catch {}
+
+    const rules =
+      job.source_type === "photos"
+        ? null
+        : {
+            duration: Number(job.media_probe?.duration) || null,
+            targetSeconds: Number(plan.targetSeconds || job.max_seconds) || null,
+          };
+    const { errors, out } = validatePlanEdit(req.body || {}, rules);
+
+    const next = { ...plan, ...out, edited_at: new Date().toISOString() };
+
+    // Photo jobs: the resulting plan needs slides, each pointing at one of the job's photos
+    if (job.source_type === "photos" && !Object.keys(errors).length) {
+      const count = (job.image_urls || []).length;
+      if (!Array.isArray(next.segments) || !next.segments.length) errors.segments = "photo jobs need at least one segment";
+      else
+        next.segments.forEach((seg, i) => {
+          if (!Number.isInteger(seg?.image) || seg.image < 0 || seg.image >= count)
+            errors[`segments[${i}].image`] = `required, 0–${count - 1}`;
+        });
     }
 
+    if (Object.keys(errors).length)
+      return res.status(400).json({ ok: false, error: "invalid plan", fields: errors });
+
+    const { data: saved, error } = await supabase
+      .from("render_jobs")
+      .update({ script_text: JSON.stringify(next) })
+      .eq("id", job.id)
+      .eq("status", "awaiting_approval")
+      .select("id")
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!saved)
+      return res.status(409).json({ ok: false, error: "Job is no longer awaiting approval" });
+
+    res.json({ ok: true, plan: next });
+
+  } catch (err) {
+    console.error("❌ EDIT PLAN ERROR:", err);
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+async function decidePlan(req, res, decision) {
+  try {
+    const job = await findTenantJob(req, "id, status, callback_url");
+    if (!job)
+      return res.status(404).json({ ok: false, error: "Job not found" });
+
+    const reason = String(req.body?.reason || "").trim().slice(0, 1000);
+    const update =
+      decision === "approved"
+        ? { status: "approved", approved_at: new Date().toISOString() }
+        : { status: "rejected", error: reason ? `Plan rejected: ${reason}` : "Plan rejected" };
+
+    const { data: moved, error } = await supabase
+      .from("render_jobs")
+      .update(update)
+      .eq("id", job.id)
+      .eq("status", "awaiting_approval")
+      .select("id")
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!moved)
+      return res.status(409).json({ ok: false, error: `Job is not awaiting approval (status ${job.status})` });
+
+    console.log(`📝 Plan ${decision}:`, job.id);
+    await enqueueJobEvent(job, decision, reason ? { reason } : {});
+
+    res.json({ ok: true, status: update.status });
+
+  } catch (err) {
+    console.error("❌ PLAN DECISION ERROR:", err);
+    res.status(500).json({ ok: false });
+  }
+}
+
+app.post("/job/:id/approve", requireApiKey, (req, res) => decidePlan(req, res, "approved"));
+app.post("/job/:id/reject", requireApiKey, (req, res) => decidePlan(req, res, "rejected"));
+
+/* ==============================
+   STATUS WEBHOOK DELIVERY LOG
+============================== */
+app.get("/job/:id/deliveries", requireApiKey, async (req, res) => {
+  try {
+    const job = await findTenantJob(req, "id");
+    if (!job)
+      return res.status(404).json({ ok: false, error: "Job not found" });
+
+    const { data, error } = await supabase
+      .from("webhook_deliveries")
+      .select("id, event, callback_url, status, attempts, last_status_code, last_error, next_attempt_at, delivered_at, created_at")
+      .eq("job_id", req.params.id)
+      .order("created_at", { ascending: true });
+
+    if (error) throw error;
+
+    res.json({ ok: true, deliveries: data || [] });
+
+  } catch (err) {
+    console.error("❌ DELIVERY LOG ERROR:", err);
+    res.status(500).json({ ok: false });
+  }
+});
+
+/* ==============================
+   WEBHOOK VERIFICATION
+============================== */
+function verifyHeygenSignature(req) {
+  const raw = req.rawBody;
+  const given = String(req.get(HEYGEN_SIGNATURE_HEADER) || "")
+    .trim()
+    .replace(/^sha256=/i, "");
+
+  if (!raw || !given) return false;
+
+  const expected = crypto.createHmac("sha256", HEYGEN_WEBHOOK_SECRET).update(raw).digest("hex");
+  const a = Buffer.from(expected, "utf8");
+  const b = Buffer.from(given.toLowerCase(), "utf8");
+
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Seconds or milliseconds since epoch, from the signed payload only (a header isn't covered by the HMAC)
+function webhookTimestampMs(req) {
+  const raw = req.body?.timestamp ?? req.body?.event_data?.timestamp;
+  if (raw == null || raw === "") return null;
+
+  const n = Number(raw);
+  if (Number.isFinite(n)) return n < 1e12 ? n * 1000 : n;
+
+  const parsed = Date.parse(String(raw));
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function webhookEventId(req) {
+  return (
+    req.body?.event_id ||
+    req.body?.id ||
+    crypto.createHash("sha256").update(req.rawBody || "").digest("hex")
+  );
+}
+
+async function isWebhookEventProcessed(eventId) {
+  const { data, error } = await supabase
+    .from("webhook_events")
+    .select("event_id")
+    .eq("event_id", String(eventId))
+    .maybeSingle();
+
+  if (error) throw error;
+  return Boolean(data);
+}
+
+// Recorded only once the event has been handled, so a failure leaves it open to HeyGen's retry
+async function recordWebhookEvent({ eventId, jobId, eventType }) {
+  const { error } = await supabase.from("webhook_events").insert({
+    event_id: String(eventId),
+    provider: "heygen",
+    job_id: jobId,
+    event_type: eventType,
+  });
+
+  // unique_violation = a concurrent duplicate got there first; the job update is conditional, so that's fine
+  if (error && error.code !== "23505") throw error;
+}
+
+/* ==============================
+   HEYGEN WEBHOOK
+   - signature over the raw body; a stale timestamp in the body is rejected (events without one rely on the dedupe)
+   - each event recorded once in webhook_events after it's handled (duplicates ignored)
+   - transitions only from heygen_requested, so a replay can't re-render a finished job
+   - errors answer 500 so HeyGen delivers the event again
+============================== */
+app.post("/heygen-callback", async (req, res) => {
+  if (!verifyHeygenSignature(req)) {
+    console.log("❌ Invalid webhook signature");
+    return res.status(401).json({ ok: false, error: "invalid signature" });
+  }
+
+  const ts = webhookTimestampMs(req);
+  if (ts && Math.abs(Date.now() - ts) > WEBHOOK_TOLERANCE_SECONDS * 1000) {
+    console.log("❌ Stale webhook timestamp:", new Date(ts).toISOString());
+    return res.status(400).json({ ok: false, error: "stale timestamp" });
+  }
+
+  const jobId = req.query?.job_id ? String(req.query.job_id) : null;
+  if (!jobId) {
+    console.log("❌ Missing job_id");
+    return res.status(400).json({ ok: false, error: "job_id required" });
+  }
+
+  try {
     const eventType = req.body?.event_type || null;
 
-    // Ignore GIF preview event
-    if (eventType === "avatar_video_gif.success") {
-      return;
+    // Ignore GIF preview event (and anything else we don't act on)
+    if (eventType !== "avatar_video.fail" && eventType !== "avatar_video.success") {
+      return res.json({ ok: true });
     }
 
-    // Only proceed when final MP4 is ready
-    if (eventType !== "avatar_video.success") {
-      return;
+    const eventId = webhookEventId(req);
+    if (await isWebhookEventProcessed(eventId)) {
+      console.log("↩️ Duplicate webhook ignored:", eventId);
+      return res.json({ ok: true });
     }
 
-    const videoUrl = req.body?.event_data?.url || null;
+    await handleHeygenEvent(req, jobId, eventType);
+    await recordWebhookEvent({ eventId, jobId, eventType });
 
-    if (!videoUrl) {
-      console.log("❌ avatar_video.success but no URL found");
-      return;
-    }
+    res.json({ ok: true });
 
-    await supabase
+  } catch (err) {
+    console.error("❌ Webhook processing error:", err);
+    res.status(500).json({ ok: false });
+  }
+});
+
+async function handleHeygenEvent(req, jobId, eventType) {
+  const { data: job, error: jobErr } = await supabase
+    .from("render_jobs")
+    .select("id, status, heygen_video_id, callback_url")
+    .eq("id", jobId)
+    .maybeSingle();
+
+  if (jobErr) throw jobErr;
+  if (!job) {
+    console.log("❌ Job not found:", jobId);
+    return;
+  }
+
+  const videoId = req.body?.event_data?.video_id || null;
+  if (videoId && job.heygen_video_id && videoId !== job.heygen_video_id) {
+    console.log("❌ Webhook video_id does not match job:", jobId, videoId);
+    return;
+  }
+
+  if (job.status !== "heygen_requested") {
+    console.log(`↩️ Webhook for job ${jobId} in status ${job.status} ignored`);
+    return;
+  }
+
+  if (eventType === "avatar_video.fail") {
+    const reason =
+      req.body?.event_data?.msg || req.body?.event_data?.error || "unknown error";
+
+    const { data: failed, error: failErr } = await supabase
       .from("render_jobs")
       .update({
-        status: "rendering",
-        heygen_video_url: videoUrl,
+        status: "failed",
+        error: `HeyGen generation failed: ${reason}`.slice(0, 2000),
+        lease_expires_at: null,
       })
-      .eq("id", jobId);
+      .eq("id", jobId)
+      .eq("status", "heygen_requested")
+      .select("id")
+      .maybeSingle();
 
-    console.log("✅ Job moved to rendering:", jobId);
+    if (failErr) throw failErr;
 
-  } catch (err) {
-    console.error("❌ Webhook processing error:", err);
+    console.log("❌ HeyGen generation failed:", jobId, reason);
+    if (failed) await enqueueJobEvent(job, "failed", { error: `HeyGen generation failed: ${reason}` });
+    return;
   }
-});
+
+  const videoUrl = req.body?.event_data?.url || null;
+
+  if (!videoUrl) {
+    console.log("❌ avatar_video.success but no URL found");
+    return;
+  }
+
+  const { data: moved, error: updErr } = await supabase
+    .from("render_jobs")
+    .update({
+      status: "rendering",
+      heygen_video_url: videoUrl,
+    })
+    .eq("id", jobId)
+    .eq("status", "heygen_requested")
+    .select("id")
+    .maybeSingle();
+
+  if (updErr) throw updErr;
+
+  if (moved) console.log("✅ Job moved to rendering:", jobId);
+}
 
 /* ==============================
    START
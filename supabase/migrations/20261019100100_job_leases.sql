@@ -0,0 +1,7 @@
+-- Worker leases on in-flight jobs (processing / submitting / rendering_in_progress, and the
+-- heygen_requested poll deadline). The reaper also treats a null lease as expired.
+alter table render_jobs
+  add column if not exists lease_expires_at timestamptz,
+  add column if not exists locked_by text;
+
+create index if not exists render_jobs_lease_idx on render_jobs (lease_expires_at) where lease_expires_at is not null;
@@ -0,0 +1,8 @@
+-- Retry bookkeeping: attempts used, when the job is due again, and when it was given up on
+alter table render_jobs
+  add column if not exists attempts integer not null default 0,
+  add column if not exists next_attempt_at timestamptz,
+  add column if not exists dead_lettered_at timestamptz;
+
+-- pool polling: status + due time
+create index if not exists render_jobs_status_next_attempt_idx on render_jobs (status, next_attempt_at);
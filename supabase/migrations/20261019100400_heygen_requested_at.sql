@@ -0,0 +1,2 @@
+-- When the avatar render was requested (HeyGen polling deadline)
+alter table render_jobs add column if not exists heygen_requested_at timestamptz;
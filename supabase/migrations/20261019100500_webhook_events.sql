@@ -0,0 +1,8 @@
+-- HeyGen webhook events already handled (dedupe)
+create table if not exists webhook_events (
+  event_id text primary key,             -- unique: a second insert fails with 23505
+  provider text not null,
+  job_id uuid,
+  event_type text,
+  created_at timestamptz not null default now()
+);
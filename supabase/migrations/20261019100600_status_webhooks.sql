@@ -0,0 +1,47 @@
+-- Outbound status webhooks: the job's callback_url, the outbox/delivery log, and the one
+-- definition of a job status event shared by the API and the worker (supabase.rpc("enqueue_job_event"))
+alter table render_jobs add column if not exists callback_url text;
+
+create table if not exists webhook_deliveries (
+  id uuid primary key,
+  job_id uuid not null references render_jobs (id) on delete cascade,
+  callback_url text not null,
+  event text not null,
+  payload jsonb not null,
+  status text not null default 'pending' check (status in ('pending', 'delivered', 'failed')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz,
+  last_status_code integer,
+  last_error text,
+  delivered_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists webhook_deliveries_due_idx on webhook_deliveries (status, next_attempt_at);
+create index if not exists webhook_deliveries_job_id_idx on webhook_deliveries (job_id, created_at);
+
+-- Writes the outbox row the worker delivers; jobs without a callback_url get nothing
+create or replace function enqueue_job_event(p_job_id uuid, p_status text, p_data jsonb default '{}'::jsonb)
+returns void
+language sql
+as $$
+  insert into webhook_deliveries (id, job_id, callback_url, event, payload, status, attempts, next_attempt_at)
+  select
+    e.id,
+    j.id,
+    j.callback_url,
+    'job.' || p_status,
+    jsonb_build_object(
+      'id', e.id,
+      'type', 'job.' || p_status,
+      'created_at', now(),
+      'data', jsonb_build_object('job_id', j.id, 'status', p_status) || coalesce(p_data, '{}'::jsonb)
+    ),
+    'pending',
+    0,
+    now()
+  from render_jobs j
+  cross join (select gen_random_uuid() as id) e
+  where j.id = p_job_id
+    and j.callback_url is not null;
+$$;
@@ -0,0 +1,66 @@
+-- Tenants and their API keys; every job belongs to a tenant
+create table if not exists tenants (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  monthly_render_quota integer,          -- null = DEFAULT_MONTHLY_QUOTA
+  rate_limit_per_minute integer,         -- null = RATE_LIMIT_PER_MINUTE
+  disabled_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists api_keys (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null references tenants (id) on delete cascade,
+  key_hash text not null unique,         -- sha256(key); the raw key is never stored
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+alter table render_jobs add column if not exists tenant_id uuid references tenants (id);
+
+-- per-tenant monthly quota counts
+create index if not exists render_jobs_tenant_created_idx on render_jobs (tenant_id, created_at);
+
+-- Quota check + insert in one transaction: the tenant row lock makes concurrent creates for the
+-- same tenant take turns, so each one counts the jobs the previous one inserted.
+-- Returns the new job id, or null when the tenant has used its quota for this (UTC) month.
+-- Only the keys present in p_job are inserted, so column defaults still apply to the rest.
+create or replace function create_render_job(p_job jsonb, p_default_quota integer)
+returns uuid
+language plpgsql
+as $$
+declare
+  v_tenant uuid := (p_job ->> 'tenant_id')::uuid;
+  v_quota integer;
+  v_used integer;
+  v_columns text;
+  v_id uuid;
+begin
+  select coalesce(monthly_render_quota, p_default_quota) into v_quota
+  from tenants
+  where id = v_tenant
+  for update;
+
+  if not found then
+    raise exception 'tenant % not found', v_tenant;
+  end if;
+
+  select count(*) into v_used
+  from render_jobs
+  where tenant_id = v_tenant
+    and created_at >= date_trunc('month', now() at time zone 'utc') at time zone 'utc';
+
+  if v_used >= v_quota then
+    return null;
+  end if;
+
+  select string_agg(quote_ident(k), ', ') into v_columns from jsonb_object_keys(p_job) as k;
+
+  execute format(
+    'insert into render_jobs (%1$s) select %1$s from jsonb_populate_record(null::render_jobs, $1) returning id',
+    v_columns
+  ) using p_job into v_id;
+
+  return v_id;
+end;
+$$;
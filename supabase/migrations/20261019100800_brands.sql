@@ -0,0 +1,25 @@
+-- Brand profiles (logo, colours, font, lower third, avatar placement) and the job's brand
+create table if not exists brands (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null references tenants (id) on delete cascade,
+  name text not null,
+  logo_url text,
+  logo_w integer,
+  bar_color text,
+  bar_opacity real,
+  font_file text,
+  text_color text,
+  caption_color text,
+  caption_highlight_color text,
+  lower_third_text text,
+  avatar_position text check (avatar_position in ('left', 'right')),
+  avatar_width integer,
+  avatar_margin_x integer,
+  avatar_gap_y integer,                  -- gap between the avatar and the lower-third bar
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create index if not exists brands_tenant_id_idx on brands (tenant_id);
+
+alter table render_jobs add column if not exists brand_id uuid references brands (id) on delete set null;
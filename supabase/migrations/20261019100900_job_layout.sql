@@ -0,0 +1,11 @@
+-- Composite layout template name (null = DEFAULT_LAYOUT)
+alter table render_jobs add column if not exists layout text;
+
+-- Layouts the worker can render, published by the worker from layouts/*.json at startup.
+-- The API checks a job's layout and renditions against this, so a new layout only needs a worker deploy.
+create table if not exists layouts (
+  name text primary key,
+  ratios jsonb not null,                 -- aspect ratios with a variant, e.g. ["9:16", "1:1"]
+  is_default boolean not null default false,  -- the worker's DEFAULT_LAYOUT (jobs without a layout)
+  updated_at timestamptz not null default now()
+);
@@ -0,0 +1,4 @@
+-- Plan review gate: stop at awaiting_approval until the plan is approved or rejected
+alter table render_jobs
+  add column if not exists require_approval boolean not null default false,
+  add column if not exists approved_at timestamptz;
@@ -0,0 +1,2 @@
+-- Walkthrough uploaded to our bucket through a signed upload URL (instead of walkthrough_url)
+alter table render_jobs add column if not exists walkthrough_storage_path text;
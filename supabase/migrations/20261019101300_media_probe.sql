@@ -0,0 +1,2 @@
+-- ffprobe summary stored by the API when the job is created
+alter table render_jobs add column if not exists media_probe jsonb;
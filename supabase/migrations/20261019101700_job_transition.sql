@@ -0,0 +1,3 @@
+-- Per-job montage transition (null = the worker's MONTAGE_TRANSITION env default)
+alter table render_jobs
+  add column if not exists transition text check (transition in ('cut', 'crossfade', 'dip', 'whip'));
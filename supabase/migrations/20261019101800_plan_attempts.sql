@@ -0,0 +1,2 @@
+-- Montage plan attempts [{attempt, at, mode, ok, errors, warnings, raw}]
+alter table render_jobs add column if not exists plan_attempts jsonb;
@@ -0,0 +1,7 @@
+-- Narration language on the job, and language-matched voices
+alter table render_jobs add column if not exists language text not null default 'en';
+
+alter table voices add column if not exists language text;
+alter table voices add column if not exists gender text;
+
+create index if not exists voices_language_gender_idx on voices (language, gender);
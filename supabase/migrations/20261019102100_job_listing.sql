@@ -0,0 +1,2 @@
+-- Structured listing details (address, price, beds/baths, area, agent)
+alter table render_jobs add column if not exists listing jsonb;
@@ -0,0 +1,4 @@
+-- Intro (address) and outro (agent + QR) cards, on unless switched off per job
+alter table render_jobs
+  add column if not exists intro_card boolean not null default true,
+  add column if not exists outro_card boolean not null default true;
@@ -0,0 +1,4 @@
+-- Photo-only jobs: ordered image_urls instead of a walkthrough
+alter table render_jobs
+  add column if not exists source_type text not null default 'walkthrough' check (source_type in ('walkthrough', 'photos')),
+  add column if not exists image_urls jsonb;
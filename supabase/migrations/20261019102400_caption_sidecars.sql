@@ -0,0 +1,4 @@
+-- Caption sidecars uploaded next to the final MP4
+alter table render_jobs
+  add column if not exists captions_srt_url text,
+  add column if not exists captions_vtt_url text;
@@ -0,0 +1,4 @@
+-- Requested aspect ratios (the first is the primary output) and every rendered one
+alter table render_jobs
+  add column if not exists renditions jsonb not null default '["9:16"]'::jsonb,
+  add column if not exists rendition_outputs jsonb;
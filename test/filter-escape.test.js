@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { drawtextOption, escapeFilterValue } from "../filter-escape.js";
+
+// ffmpeg's av_get_token(): backslash escapes one char, '…' is literal, stops at an unescaped terminator
+function getToken(s, term) {
+  let i = 0;
+  while (i < s.length && /\s/.test(s[i])) i++;
+  let out = "";
+  let keep = 0; // length of out that trailing-whitespace trimming must not touch
+  while (i < s.length && !term.includes(s[i])) {
+    const c = s[i++];
+    if (c === "\\" && i < s.length) {
+      out += s[i++];
+      keep = out.length;
+    } else if (c === "'") {
+      while (i < s.length && s[i] !== "'") out += s[i++];
+      if (i < s.length) i++;
+      keep = out.length;
+    } else {
+      out += c;
+    }
+  }
+  while (out.length > keep && /\s/.test(out[out.length - 1])) out = out.slice(0, -1);
+  return { token: out, rest: s.slice(i) };
+}
+
+// filtergraph level (one filter's args), then the filter's key=value:key=value options
+function parseFilterArgs(args) {
+  const { token, rest } = getToken(args, "[],;");
+  const opts = {};
+  let s = token;
+  while (s) {
+    const eq = s.indexOf("=");
+    const key = s.slice(0, eq);
+    const { token: value, rest: after } = getToken(s.slice(eq + 1), ":");
+    opts[key] = value;
+    s = after.startsWith(":") ? after.slice(1) : after;
+  }
+  return { opts, rest };
+}
+
+const awkward = ["St John's Wood Rd", "0% fees", "O'Brien: 50% off, [new]; C:\\fonts\\a.ttf", "it's 'quoted'"];
+
+test("drawtext text survives both parser levels unchanged, with expansion off", () => {
+  for (const text of awkward) {
+    const { opts, rest } = parseFilterArgs(`fontfile=/f.ttf:${drawtextOption(text)}:fontcolor=white,fade=t=in`);
+    assert.equal(opts.text, text);
+    assert.equal(opts.expansion, "none");
+    assert.equal(opts.fontcolor, "white");
+    assert.equal(rest, ",fade=t=in");
+  }
+});
+
+test("paths with quotes, colons and brackets stay one option", () => {
+  const p = "/tmp/job's [1]/a:b,c;d.ass";
+  const { opts, rest } = parseFilterArgs(`filename=${escapeFilterValue(p)}:fontsdir=/tmp/fonts[out]`);
+  assert.equal(opts.filename, p);
+  assert.equal(opts.fontsdir, "/tmp/fonts");
+  assert.equal(rest, "[out]");
+});
@@ -1,22 +1,72 @@
-// worker.js (PRODUCTION — FULL TRANSCRIBE (<=5min) → SYNCED MONTAGE (max_seconds) → HeyGen → Composite + Logo + Lower Third + Email)
+// worker.js (PRODUCTION — FULL TRANSCRIBE (chunked, <=20min) → SYNCED MONTAGE (max_seconds) → HeyGen → Composite + Logo + Lower Third + Email)
 //
-// ✅ Uses EXISTING DB columns ONLY:
+// ✅ render_jobs columns used (schema + the other tables: supabase/migrations/):
+// - walkthrough_url OR walkthrough_storage_path (object uploaded via a signed upload URL)
+// - media_probe: ffprobe summary stored by the API at creation (duration, codecs, rotation, vfr, audio)
 // - transcript_text: full Whisper transcript
 // - script_text: JSON string containing montage plan + final narration script
 // - max_seconds: desired final length (default 120)
 // - logo_url: optional per-job logo (falls back to env LOGO_URL)
 // - final_public_url: output link
+// - lease_expires_at / locked_by: worker lease on in-flight jobs
+// - heygen_requested_at: when the avatar render was requested (HeyGen polling deadline)
+// - layout: composite layout template name (layouts/*.json, default DEFAULT_LAYOUT; published to the layouts table for the API)
+// - require_approval: stop at awaiting_approval so the plan can be reviewed before HeyGen
+// - brand_id: optional brand profile (brands table) overriding the env branding below
+// - callback_url: optional customer endpoint for status events (see webhook_deliveries)
+// - attempts / next_attempt_at / dead_lettered_at: retry bookkeeping for transient errors
+// - source_type: "walkthrough" (default) or "photos" — photo jobs use image_urls (ordered) instead of a walkthrough
+// - listing: jsonb listing details (address, price, beds/baths, area, agent) — script facts + lower third
+// - intro_card / outro_card: false skips the address slate / agent + QR slate around the video (default on)
+// - captions_srt_url / captions_vtt_url: caption sidecars uploaded next to the final MP4
+// - language: narration language (en | es | pl, default en) — script language, narration Whisper hint, voice choice
+// - transition: montage / slideshow transition (cut | crossfade | dip | whip, default MONTAGE_TRANSITION)
+// - renditions: output aspect ratios (9:16 | 1:1 | 16:9, default ["9:16"]); the first is the primary output
+//   (final_public_url / final_storage_path), each uses its layout variant (layouts/<layout>-1x1.json, -16x9.json)
+// - rendition_outputs: jsonb { "<ratio>": { storage_path, url } } for every rendered aspect ratio
+// - plan_attempts: jsonb list of montage plan attempts [{attempt, at, mode, ok, errors, warnings, raw}]
+//
+// Silent walkthroughs (no audio, or fewer than MIN_TRANSCRIPT_WORDS spoken):
+// segments are picked by scene detection + exposure/sharpness/stability scoring,
+// and the script is written from listing details instead of the transcript.
 //
 // Montage sync approach:
-// 1) Whisper full transcript with timestamps (<=5 mins cap)
-// 2) GPT builds montage plan: [{start,end,line}] where total duration ≈ targetSeconds
+// 1) Whisper full transcript with timestamps (chunked with overlap, <=20 mins cap)
+//    + frames sampled every VISION_SAMPLE_SECONDS labelled by a vision model (room + features)
+// 2) GPT builds montage plan: [{start,end,line}] where total duration ≈ targetSeconds,
+//    using TIMED_SEGMENTS and the VISUAL_TIMELINE; lines naming a room that isn't on screen are flagged
 // 3) GPT also returns combined "script" (lines joined naturally)
-// 4) Worker cuts & concatenates those windows into a montage background
-// 5) HeyGen narrates the montage script
+// 4) Worker cuts those windows and joins them (xfade transitions, optional deshake / push-in on static shots)
+//    into a montage background exactly as long as the avatar video
+// 5) HeyGen narrates the montage script; its audio is transcribed with word timestamps and each
+//    segment is re-timed to the span of its spoken line
 // 6) Composite avatar over montage with lower third + logo
+//    + word-timed captions (current word highlighted) burned in above the lower third
+// 7) Intro slate (hero frame + address) and outro slate (agent photo, contact, QR to listing_url) around it
+// 8) Steps 6–7 repeat per requested rendition (aspect ratio) over the same montage + avatar
+//
+// Photo-only jobs: photos are captioned by the vision model, the script gets one line per photo,
+// and the montage is a pan/zoom slideshow timed to the narration (HeyGen + composite unchanged).
 //
 // Pipeline:
 // queued -> processing -> heygen_requested -> (webhook sets rendering + heygen_video_url) -> rendering_in_progress -> completed
+// (if the webhook is missed, the worker polls HeyGen and sets rendering/failed itself)
+//
+// With require_approval:
+// queued -> processing -> awaiting_approval -> (API: approved | rejected) -> submitting -> heygen_requested -> …
+//
+// Leases:
+// - processing / rendering_in_progress rows carry lease_expires_at, renewed by a heartbeat while the worker runs
+// - heygen_requested rows carry lease_expires_at = next time the worker polls HeyGen for status
+// - the reaper in loop() puts expired rows back to their previous phase (or fails them)
+//
+// Retries:
+// - retryable errors (429/5xx/timeouts/network) put the job back to its phase with exponential backoff
+// - fatal errors, or MAX_ATTEMPTS retryable ones, end in failed
+//
+// Status events:
+// - every transition (processing, awaiting_approval, heygen_requested, rendering_in_progress, completed, failed) is written to
+//   webhook_deliveries when the job has a callback_url; the loop delivers them signed, with retries
 
 console.log("🚀 WORKER LIVE - VERSION 4");
 
@@ -25,10 +75,20 @@ console.log("HEYGEN_API_KEY length:", process.env.HEYGEN_API_KEY?.length);
 
 import { createClient } from "@supabase/supabase-js";
 import { spawn } from "child_process";
+import crypto from "crypto";
+import { lookup as dnsLookup } from "dns";
+import net from "net";
 import OpenAI from "openai";
 import fs from "fs";
+import os from "os";
 import path from "path";
+import { Readable, Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { fileURLToPath } from "url";
 import { Resend } from "resend";
+import QRCode from "qrcode";
+import { Agent, fetch as undiciFetch } from "undici";
+import { drawtextOption, escapeFilterValue } from "./filter-escape.js";
 
 /* ==============================
    ENV
@@ -48,7 +108,6 @@ const OPENAI_API_KEY = mustEnv("OPENAI_API_KEY");
 
 const HEYGEN_API_KEY = mustEnv("HEYGEN_API_KEY");
 const HEYGEN_CALLBACK_BASE_URL = mustEnv("HEYGEN_CALLBACK_BASE_URL");
-const HEYGEN_WEBHOOK_SECRET = mustEnv("HEYGEN_WEBHOOK_SECRET");
 
 const HEYGEN_AVATAR_ID_MALE = mustEnv("HEYGEN_AVATAR_ID_MALE");
 const HEYGEN_AVATAR_ID_FEMALE = mustEnv("HEYGEN_AVATAR_ID_FEMALE");
@@ -56,16 +115,130 @@ const HEYGEN_AVATAR_ID_FEMALE = mustEnv("HEYGEN_AVATAR_ID_FEMALE");
 const HEYGEN_VOICE_ID_MALE = mustEnv("HEYGEN_VOICE_ID_MALE");
 const HEYGEN_VOICE_ID_FEMALE = mustEnv("HEYGEN_VOICE_ID_FEMALE");
 
+// Only needed once a job has a callback_url; deliveries wait (unsigned ones are never sent) until it's set
+const CALLBACK_SIGNING_SECRET = process.env.CALLBACK_SIGNING_SECRET || null;
+
 const RESEND_API_KEY = mustEnv("RESEND_API_KEY");
 const FROM_EMAIL = mustEnv("FROM_EMAIL");
 
 const STORAGE_BUCKET = process.env.STORAGE_BUCKET || "videos";
 const POLL_MS = Number(process.env.POLL_MS || 5000);
 
+// Transfers (streamed to/from disk, never whole-file in memory)
+const MAX_DOWNLOAD_BYTES = Number(process.env.MAX_DOWNLOAD_MB || 2048) * 1024 * 1024;
+const DOWNLOAD_IDLE_TIMEOUT_MS = Number(process.env.DOWNLOAD_IDLE_TIMEOUT_MS || 60000); // no bytes for this long = stalled
+const UPLOAD_CHUNK_BYTES = 6 * 1024 * 1024; // Supabase resumable uploads require 6MB chunks
+const UPLOAD_CHUNK_RETRIES = Number(process.env.UPLOAD_CHUNK_RETRIES || 5);
+
+// Leases (stuck-job reaper)
+const WORKER_ID = process.env.WORKER_ID || `${os.hostname()}-${process.pid}`;
+const LEASE_MS = Number(process.env.LEASE_MS || 120000); // 2 mins without heartbeat = dead worker
+const HEARTBEAT_MS = Number(process.env.HEARTBEAT_MS || 30000);
+const REAPER_INTERVAL_MS = Number(process.env.REAPER_INTERVAL_MS || 60000);
+
+// HeyGen status polling (fallback when the webhook is missed)
+const HEYGEN_POLL_AFTER_MS = Number(process.env.HEYGEN_POLL_AFTER_MS || 10 * 60 * 1000); // webhook grace period
+const HEYGEN_POLL_INTERVAL_MS = Number(process.env.HEYGEN_POLL_INTERVAL_MS || 2 * 60 * 1000);
+const HEYGEN_WEBHOOK_TIMEOUT_MS = Number(process.env.HEYGEN_WEBHOOK_TIMEOUT_MS || 45 * 60 * 1000); // give up
+
+// Retries
+const MAX_ATTEMPTS = Number(process.env.MAX_ATTEMPTS || 5);
+const RETRY_BASE_MS = Number(process.env.RETRY_BASE_MS || 30000);
+const RETRY_MAX_MS = Number(process.env.RETRY_MAX_MS || 30 * 60 * 1000);
+
+// Outbound status webhooks
+const DELIVERY_MAX_ATTEMPTS = Number(process.env.DELIVERY_MAX_ATTEMPTS || 8);
+const DELIVERY_BASE_MS = Number(process.env.DELIVERY_BASE_MS || 15000);
+const DELIVERY_TIMEOUT_MS = Number(process.env.DELIVERY_TIMEOUT_MS || 10000);
+
+// Concurrency per phase: queued is network/LLM bound, rendering is ffmpeg/CPU bound
+const QUEUED_CONCURRENCY = Math.max(1, Number(process.env.QUEUED_CONCURRENCY || 3));
+const RENDERING_CONCURRENCY = Math.max(1, Number(process.env.RENDERING_CONCURRENCY || 1));
+
 // Cost control
-const MAX_TRANSCRIBE_SECONDS = Number(process.env.MAX_TRANSCRIBE_SECONDS || 300); // 5 mins max
+const MAX_TRANSCRIBE_SECONDS = Number(process.env.MAX_TRANSCRIBE_SECONDS || 1200); // 20 mins max
+const TRANSCRIBE_CHUNK_SECONDS = Number(process.env.TRANSCRIBE_CHUNK_SECONDS || 300); // well under Whisper's 25MB cap
+const TRANSCRIBE_OVERLAP_SECONDS = Number(process.env.TRANSCRIBE_OVERLAP_SECONDS || 5);
 const MAX_SEGMENTS_TO_SEND = Number(process.env.MAX_SEGMENTS_TO_SEND || 450);
 
+// Visual planning (silent / music-only walkthroughs)
+const MIN_TRANSCRIPT_WORDS = Number(process.env.MIN_TRANSCRIPT_WORDS || 15); // fewer = treat as no narration
+const SCENE_CUT_THRESHOLD = Number(process.env.SCENE_CUT_THRESHOLD || 0.3);
+const VISUAL_SEGMENT_SECONDS = Number(process.env.VISUAL_SEGMENT_SECONDS || 8);
+
+// Narration languages (render_jobs.language). wordsPerSecond sizes the script to the target length:
+// Spanish packs more, shorter words into a second than English; Polish fewer, longer ones.
+// The env HEYGEN_VOICE_ID_* voices speak ENV_VOICE_LANGUAGE; other languages need rows in the voices table.
+const LANGUAGES = {
+  en: {
+    name: "English",
+    locale: "en-US",
+    labels: { beds: "bd", baths: "ba", sqft: "sq ft", m2: "m²", scan: "Scan for details" },
+    wordsPerSecond: 2.5,
+    fallbackScript: "A quick highlight tour of this property—get in touch to book a viewing.",
+  },
+  es: {
+    name: "Spanish",
+    locale: "es-ES",
+    labels: { beds: "hab.", baths: "baños", sqft: "pies²", m2: "m²", scan: "Escanea para ver más" },
+    wordsPerSecond: 2.8,
+    fallbackScript: "Un breve recorrido por esta propiedad: contáctenos para reservar una visita.",
+  },
+  pl: {
+    name: "Polish",
+    locale: "pl-PL",
+    labels: { beds: "pok.", baths: "łaz.", sqft: "stóp²", m2: "m²", scan: "Zeskanuj, aby zobaczyć więcej" },
+    wordsPerSecond: 2.1,
+    fallbackScript: "Krótka prezentacja tej nieruchomości — skontaktuj się z nami, aby umówić się na oglądanie.",
+  },
+};
+const DEFAULT_LANGUAGE = "en";
+const ENV_VOICE_LANGUAGE = process.env.ENV_VOICE_LANGUAGE || "en";
+
+// Photo-only jobs (source_type = "photos")
+const MAX_PHOTO_BYTES = Number(process.env.MAX_PHOTO_MB || 25) * 1024 * 1024;
+const MIN_PHOTO_SECONDS = Number(process.env.MIN_PHOTO_SECONDS || 3);
+const SLIDESHOW_ZOOM = Number(process.env.SLIDESHOW_ZOOM || 0.12); // Ken Burns zoom / pan range
+
+// Captions (burned in via the layout's captions layer + SRT/VTT sidecars)
+const CAPTIONS_ENABLED = String(process.env.CAPTIONS_ENABLED || "true").toLowerCase() !== "false";
+const CAPTION_MAX_WORDS = Number(process.env.CAPTION_MAX_WORDS || 5);
+const CAPTION_MAX_CHARS = Number(process.env.CAPTION_MAX_CHARS || 28);
+const CAPTION_GAP_SECONDS = Number(process.env.CAPTION_GAP_SECONDS || 0.6); // a longer pause starts a new cue
+const CAPTION_FONT_SIZE = Number(process.env.CAPTION_FONT_SIZE || 68);
+const CAPTION_COLOR = process.env.CAPTION_COLOR || "white";
+const CAPTION_HIGHLIGHT_COLOR = process.env.CAPTION_HIGHLIGHT_COLOR || "#FFD400";
+
+// Intro / outro cards (render_jobs.intro_card / outro_card turn them off per job)
+const INTRO_SECONDS = Number(process.env.INTRO_SECONDS || 3);
+const OUTRO_SECONDS = Number(process.env.OUTRO_SECONDS || 5);
+const CARD_FADE_SECONDS = Number(process.env.CARD_FADE_SECONDS || 0.5);
+
+// Montage plan rules (validated; failures are sent back to the model)
+const PLAN_MIN_SEGMENT_SECONDS = 6;
+const PLAN_MAX_SEGMENT_SECONDS = 25;
+const PLAN_TOTAL_TOLERANCE_SECONDS = Number(process.env.PLAN_TOTAL_TOLERANCE_SECONDS || 3);
+const PLAN_MAX_ATTEMPTS = Number(process.env.PLAN_MAX_ATTEMPTS || 3);
+
+// Narration re-timing (segments follow the spoken lines of the HeyGen audio)
+const NARRATION_RETIME = String(process.env.NARRATION_RETIME || "true").toLowerCase() !== "false";
+const MIN_RETIMED_SEGMENT_SECONDS = Number(process.env.MIN_RETIMED_SEGMENT_SECONDS || 1.5);
+
+// Vision room labelling
+const VISION_ENABLED = String(process.env.VISION_ENABLED || "true").toLowerCase() !== "false";
+const VISION_SAMPLE_SECONDS = Number(process.env.VISION_SAMPLE_SECONDS || 5);
+const VISION_MAX_FRAMES = Number(process.env.VISION_MAX_FRAMES || 48);
+const VISION_BATCH_SIZE = Number(process.env.VISION_BATCH_SIZE || 8);
+
+// Montage motion
+const MONTAGE_TRANSITION = String(process.env.MONTAGE_TRANSITION || "crossfade").toLowerCase(); // cut | crossfade | dip | whip
+const TRANSITION_SECONDS = Number(process.env.TRANSITION_SECONDS || 0.5);
+const MONTAGE_STABILIZE = String(process.env.MONTAGE_STABILIZE || "false").toLowerCase() === "true";
+const MONTAGE_ZOOM = String(process.env.MONTAGE_ZOOM || "false").toLowerCase() === "true";
+const STATIC_SCENE_THRESHOLD = Number(process.env.STATIC_SCENE_THRESHOLD || 0.006); // mean scene score below = static shot
+const MONTAGE_ZOOM_AMOUNT = Number(process.env.MONTAGE_ZOOM_AMOUNT || 0.06); // 6% push-in over the segment
+const MONTAGE_FPS = 30;
+
 // Output defaults
 const DEFAULT_TARGET_SECONDS = Number(process.env.DEFAULT_TARGET_SECONDS || 300); // 5 minutes default
 const MAX_TARGET_SECONDS = Number(process.env.MAX_TARGET_SECONDS || 300); // clamp user input (optional safety)
@@ -79,8 +252,9 @@ const KEY_BLEND = String(process.env.KEY_BLEND || "0.18");
 // Layout tuning
 const AVATAR_SCALE_W = Number(process.env.AVATAR_SCALE_W || 560);
 const AVATAR_MARGIN_X = Number(process.env.AVATAR_MARGIN_X || 60);
-const AVATAR_MARGIN_Y = Number(process.env.AVATAR_MARGIN_Y || 10);
 const AVATAR_OPACITY = Number(process.env.AVATAR_OPACITY || 0.92);
+const AVATAR_POSITION = process.env.AVATAR_POSITION === "left" ? "left" : "right";
+const AVATAR_GAP_Y = Number(process.env.AVATAR_GAP_Y || 30); // gap between avatar and lower-third bar
 const EDGE_SOFTEN = String(process.env.EDGE_SOFTEN || "1");
 
 // Lower third
@@ -88,6 +262,8 @@ const LT_TEXT = process.env.LT_TEXT || "Brand New Listing";
 const LT_BAR_Y = Number(process.env.LT_BAR_Y || 1660);
 const LT_BAR_H = Number(process.env.LT_BAR_H || 240);
 const LT_BAR_ALPHA = Number(process.env.LT_BAR_ALPHA || 0.55);
+const LT_BAR_COLOR = process.env.LT_BAR_COLOR || "black";
+const LT_TEXT_COLOR = process.env.LT_TEXT_COLOR || "white";
 
 // Default logo (can be overridden per job by render_jobs.logo_url)
 const DEFAULT_LOGO_URL =
@@ -101,6 +277,20 @@ const LOGO_MARGIN_Y = Number(process.env.LOGO_MARGIN_Y || 40);
 const FONT_FILE =
   process.env.FONT_FILE || "/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf";
 
+// Layout templates (JSON files, validated at startup)
+const LAYOUTS_DIR =
+  process.env.LAYOUTS_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), "layouts");
+const DEFAULT_LAYOUT = process.env.DEFAULT_LAYOUT || "classic";
+
+// Output aspect ratios. Each maps to a layout variant (<layout><suffix>.json) whose canvas
+// must have that ratio; the suffix also names the rendered file (renders/final-<id><suffix>.mp4).
+const RENDITIONS = {
+  "9:16": { suffix: "", w: 9, h: 16 },
+  "1:1": { suffix: "-1x1", w: 1, h: 1 },
+  "16:9": { suffix: "-16x9", w: 16, h: 9 },
+};
+const DEFAULT_RENDITIONS = ["9:16"];
+
 /* ==============================
    CLIENTS
 ============================== */
@@ -110,10 +300,13 @@ const resend = new Resend(RESEND_API_KEY);
 
 console.log("🚀 WORKER LIVE");
 console.log("Polling every", POLL_MS, "ms");
+console.log("Worker id:", WORKER_ID, "lease:", LEASE_MS, "ms");
 console.log("Limits:", {
   MAX_TRANSCRIBE_SECONDS,
   DEFAULT_TARGET_SECONDS,
   MAX_TARGET_SECONDS,
+  QUEUED_CONCURRENCY,
+  RENDERING_CONCURRENCY,
 });
 
 /* ==============================
@@ -139,6 +332,55 @@ function safeJsonParse(s) {
   }
 }
 
+/* ==============================
+   ERRORS
+============================== */
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Bad input / bad config: retrying won't help
+function fatalError(message) {
+  const err = new Error(message);
+  err.retryable = false;
+  return err;
+}
+
+const RETRYABLE_NET_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_HEADERS_TIMEOUT",
+  "UND_ERR_BODY_TIMEOUT",
+]);
+
+function isRetryableError(err) {
+  if (typeof err?.retryable === "boolean") return err.retryable;
+  if (err?.name === "AbortError") return true; // fetchWithTimeout
+
+  // HTTP-ish errors: ours (httpError), OpenAI APIError, Supabase StorageApiError
+  const status = Number(err?.status || err?.statusCode);
+  if (status) return status === 408 || status === 429 || status >= 500;
+
+  const code = err?.code || err?.cause?.code;
+  if (code && RETRYABLE_NET_CODES.has(code)) return true;
+
+  // supabase-js surfaces network failures as { message: "TypeError: fetch failed" }
+  return /fetch failed|socket hang up|network|timed? ?out/i.test(String(err?.message || ""));
+}
+
+function backoffMs(attempt, baseMs = RETRY_BASE_MS, maxMs = RETRY_MAX_MS) {
+  const base = Math.min(maxMs, baseMs * 2 ** Math.max(0, attempt - 1));
+  return Math.round(base * (0.8 + Math.random() * 0.4)); // ±20% jitter
+}
+
 function runFFmpeg(args) {
   return new Promise((resolve, reject) => {
     const ff = spawn("ffmpeg", args);
@@ -165,6 +407,36 @@ function runFFprobe(args) {
   });
 }
 
+// ffmpeg with stdout captured (for metadata=print:file=-); stderr is not logged
+function runFFmpegCapture(args) {
+  return new Promise((resolve, reject) => {
+    const ff = spawn("ffmpeg", args);
+    let out = "";
+    let err = "";
+    ff.stdout.on("data", (d) => (out += d.toString()));
+    ff.stderr.on("data", (d) => (err += d.toString()));
+    ff.on("error", reject);
+    ff.on("close", (code) =>
+      code === 0 ? resolve(out) : reject(new Error(`FFmpeg failed (${code}): ${err.slice(-500)}`))
+    );
+  });
+}
+
+async function hasAudioStream(localVideoPath) {
+  const { out } = await runFFprobe([
+    "-v",
+    "error",
+    "-select_streams",
+    "a",
+    "-show_entries",
+    "stream=index",
+    "-of",
+    "csv=p=0",
+    localVideoPath,
+  ]);
+  return String(out || "").trim().length > 0;
+}
+
 async function getVideoDurationSeconds(localVideoPath) {
   const { out } = await runFFprobe([
     "-v",
@@ -190,27 +462,213 @@ async function fetchWithTimeout(url, opts = {}, timeoutMs = 120000) {
   }
 }
 
-async function downloadFile(url, outPath) {
-  const resp = await fetchWithTimeout(url, { method: "GET" }, 120000);
-  if (!resp.ok) throw new Error(`Download failed: ${resp.status} (${url})`);
-  const buffer = Buffer.from(await resp.arrayBuffer());
-  fs.writeFileSync(outPath, buffer);
+function formatMB(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
 }
 
-async function uploadToStorage(localPath, storagePath) {
-  const buffer = fs.readFileSync(localPath);
+// Streams url -> outPath with a size cap, an idle timeout and a truncation check
+async function downloadFile(url, outPath, maxBytes = MAX_DOWNLOAD_BYTES) {
+  const controller = new AbortController();
+  let idle = setTimeout(() => controller.abort(), DOWNLOAD_IDLE_TIMEOUT_MS);
+  const label = path.basename(outPath);
+  let expected = null;
+  let received = 0;
+  let streaming = false;
 
-  const { error } = await supabase.storage.from(STORAGE_BUCKET).upload(storagePath, buffer, {
-    contentType: "video/mp4",
-    upsert: true,
-  });
-  if (error) throw error;
+  try {
+    // Ask for the raw bytes so content-length can be checked; fetch decodes gzip/br bodies itself
+    const resp = await fetch(url, { method: "GET", headers: { "accept-encoding": "identity" }, signal: controller.signal });
+    if (!resp.ok) throw httpError(`Download failed: ${resp.status} (${url})`, resp.status);
+    if (!resp.body) throw httpError(`Download failed: empty body (${url})`, 502);
+
+    const length = Number(resp.headers.get("content-length")) || null;
+    if (length && length > maxBytes) {
+      throw fatalError(`Download too large: ${formatMB(length)} (max ${formatMB(maxBytes)}) (${url})`);
+    }
+    // A compressed body's content-length is the encoded size, not what we receive
+    const encoding = (resp.headers.get("content-encoding") || "identity").toLowerCase();
+    expected = encoding === "identity" ? length : null;
+
+    const logEvery = expected ? expected / 4 : 100 * 1024 * 1024;
+    let nextLogAt = logEvery;
+
+    const meter = new Transform({
+      transform(chunk, _enc, cb) {
+        clearTimeout(idle);
+        idle = setTimeout(() => controller.abort(), DOWNLOAD_IDLE_TIMEOUT_MS);
+
+        received += chunk.length;
+        if (received > maxBytes) {
+          return cb(fatalError(`Download too large: over ${formatMB(maxBytes)} (${url})`));
+        }
+        if (received >= nextLogAt) {
+          console.log(`⬇️ ${label}: ${formatMB(received)}${expected ? ` / ${formatMB(expected)}` : ""}`);
+          nextLogAt += logEvery;
+        }
+        cb(null, chunk);
+      },
+    });
+
+    streaming = true;
+    await pipeline(Readable.fromWeb(resp.body), meter, fs.createWriteStream(outPath));
+    streaming = false;
+
+    if (expected && received !== expected) {
+      const err = new Error(`Truncated download: got ${received} of ${expected} bytes (${url})`);
+      err.retryable = true;
+      throw err;
+    }
+  } catch (err) {
+    safeUnlink(outPath);
+    if (err?.name === "AbortError") {
+      const stalled = new Error(`Download stalled for ${DOWNLOAD_IDLE_TIMEOUT_MS / 1000}s (${url})`);
+      stalled.retryable = true;
+      throw stalled;
+    }
+    // Connection dropped mid-body (undici reports "terminated")
+    if (streaming && err?.retryable === undefined && !err?.syscall) {
+      const cut = new Error(
+        `Truncated download: connection closed after ${received}${expected ? ` of ${expected}` : ""} bytes (${url})`
+      );
+      cut.retryable = true;
+      throw cut;
+    }
+    throw err;
+  } finally {
+    clearTimeout(idle);
+  }
+}
+
+// Walkthrough source: our own bucket (signed upload) or a public URL
+async function downloadWalkthrough(job, outPath) {
+  if (!job.walkthrough_storage_path) {
+    if (!job.walkthrough_url) throw fatalError("Job has no walkthrough_url or walkthrough_storage_path");
+    return downloadFile(job.walkthrough_url, outPath);
+  }
+
+  const { data, error } = await supabase.storage
+    .from(STORAGE_BUCKET)
+    .createSignedUrl(job.walkthrough_storage_path, 3600);
+
+  if (error) {
+    if (isRetryableError(error)) throw error;
+    throw fatalError(`Walkthrough object not readable (${job.walkthrough_storage_path}): ${error.message}`);
+  }
+
+  await downloadFile(data.signedUrl, outPath);
+}
+
+/*
+  Resumable (TUS) upload to Supabase Storage:
+  POST creates the upload, then 6MB PATCH chunks read straight from disk.
+  A failed chunk asks the server for its offset (HEAD) and resumes from there.
+*/
+function tusMetadata(obj) {
+  return Object.entries(obj)
+    .map(([k, v]) => `${k} ${Buffer.from(String(v)).toString("base64")}`)
+    .join(",");
+}
+
+async function tusServerOffset(uploadUrl, headers) {
+  const resp = await fetchWithTimeout(uploadUrl, { method: "HEAD", headers }, 30000);
+  if (!resp.ok) throw httpError(`Storage upload offset check failed (${resp.status})`, resp.status);
+  const offset = Number(resp.headers.get("upload-offset"));
+  if (!Number.isFinite(offset)) throw httpError("Storage upload offset missing", 502);
+  return offset;
+}
+
+async function uploadToStorage(localPath, storagePath, contentType = "video/mp4") {
+  const size = fs.statSync(localPath).size;
+  if (!size) throw fatalError(`Refusing to upload empty file: ${localPath}`);
+
+  const endpoint = `${SUPABASE_URL}/storage/v1/upload/resumable`;
+  const headers = {
+    authorization: `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
+    apikey: SUPABASE_SERVICE_ROLE_KEY,
+    "tus-resumable": "1.0.0",
+  };
+
+  const created = await fetchWithTimeout(
+    endpoint,
+    {
+      method: "POST",
+      headers: {
+        ...headers,
+        "upload-length": String(size),
+        "upload-metadata": tusMetadata({
+          bucketName: STORAGE_BUCKET,
+          objectName: storagePath,
+          contentType,
+          cacheControl: "3600",
+        }),
+        "x-upsert": "true",
+      },
+    },
+    30000
+  );
+
+  if (created.status !== 201) {
+    const text = await created.text().catch(() => "");
+    throw httpError(`Storage upload create failed (${created.status}): ${text}`, created.status);
+  }
+
+  const uploadUrl = new URL(created.headers.get("location"), endpoint).toString();
+  const fd = fs.openSync(localPath, "r");
+  let offset = 0;
+  let failures = 0;
+
+  try {
+    while (offset < size) {
+      const len = Math.min(UPLOAD_CHUNK_BYTES, size - offset);
+      const chunk = Buffer.alloc(len);
+      fs.readSync(fd, chunk, 0, len, offset);
+
+      try {
+        const resp = await fetchWithTimeout(
+          uploadUrl,
+          {
+            method: "PATCH",
+            headers: {
+              ...headers,
+              "upload-offset": String(offset),
+              "content-type": "application/offset+octet-stream",
+            },
+            body: chunk,
+          },
+          120000
+        );
+        if (resp.status !== 204) throw httpError(`Storage chunk upload failed (${resp.status})`, resp.status);
+
+        offset = Number(resp.headers.get("upload-offset")) || offset + len;
+        failures = 0;
+      } catch (err) {
+        // 409 = offset mismatch: resync with the server before the next chunk
+        if (!isRetryableError(err) && Number(err?.status) !== 409) throw err;
+        if (++failures > UPLOAD_CHUNK_RETRIES) throw err;
+
+        console.log(`⚠️ Upload chunk at ${formatMB(offset)} failed (${failures}):`, err?.message || err);
+        await sleep(backoffMs(failures, 1000, 15000));
+        offset = await tusServerOffset(uploadUrl, headers);
+      }
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (offset !== size) {
+    const err = new Error(`Truncated upload: server has ${offset} of ${size} bytes (${storagePath})`);
+    err.retryable = true;
+    throw err;
+  }
+
+  console.log(`⬆️ Uploaded ${storagePath} (${formatMB(size)})`);
 
   const { data } = supabase.storage.from(STORAGE_BUCKET).getPublicUrl(storagePath);
   return data.publicUrl;
 }
 
-async function sendFinalEmail(to, url, jobId) {
+// extra = [{ label, url }]: other renditions of the same video
+async function sendFinalEmail(to, url, jobId, extra = []) {
   await resend.emails.send({
     from: FROM_EMAIL,
     to,
@@ -221,6 +679,9 @@ async function sendFinalEmail(to, url, jobId) {
         <p><strong>Job:</strong> ${jobId}</p>
         <p>Click below to view/download your rendered video:</p>
         <p><a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a></p>
+        ${extra
+          .map((e) => `<p>${e.label}: <a href="${e.url}" target="_blank" rel="noopener noreferrer">${e.url}</a></p>`)
+          .join("")}
       </div>
     `,
   });
@@ -229,7 +690,86 @@ async function sendFinalEmail(to, url, jobId) {
 /* ==============================
    AUDIO → WHISPER → MONTAGE PLAN
 ============================== */
-async function buildMontageVideo(inWalkPath, outMontagePath, segments, targetSeconds) {
+const XFADE_TRANSITIONS = {
+  crossfade: "fade",
+  dip: "fadeblack",
+  whip: "slideleft",
+};
+
+// render_jobs.transition (set per job through the API) wins over the env default
+function jobTransition(job) {
+  return String(job.transition || MONTAGE_TRANSITION).toLowerCase();
+}
+
+// Display size (after rotation metadata is applied, as ffmpeg autorotates)
+async function getVideoSize(localVideoPath) {
+  const { out } = await runFFprobe([
+    "-v",
+    "error",
+    "-select_streams",
+    "v:0",
+    "-show_entries",
+    "stream=width,height:stream_tags=rotate:stream_side_data=rotation",
+    "-of",
+    "json",
+    localVideoPath,
+  ]);
+  const stream = safeJsonParse(out)?.streams?.[0] || {};
+  const rotation = Number(stream.tags?.rotate ?? stream.side_data_list?.find((s) => "rotation" in s)?.rotation ?? 0);
+  const w = Number(stream.width || 0);
+  const h = Number(stream.height || 0);
+  return Math.abs(rotation) % 180 === 90 ? { w: h, h: w } : { w, h };
+}
+
+// Segments whose footage barely moves (mean scene score) get the slow push-in
+async function markStaticSegments(inWalkPath, segments) {
+  const frames = await sceneFrames(inWalkPath);
+  return segments.map((seg) => {
+    const inside = frames.filter((f) => f.t >= seg.start && f.t < seg.end);
+    const motion = inside.length ? inside.reduce((sum, f) => sum + (f.scene || 0), 0) / inside.length : 1;
+    return { ...seg, static: motion < STATIC_SCENE_THRESHOLD };
+  });
+}
+
+/*
+  Joins labelled clips [v0]..[vN] (lengths in seconds) with xfade, or concat when xfade is null,
+  then pads (last frame held) / trims to exactly targetSeconds. Ends in [vout].
+*/
+function joinClips(parts, lengths, xfade, fadeSeconds, targetSeconds) {
+  let joined;
+  if (xfade && lengths.length > 1) {
+    let prev = "v0";
+    let length = lengths[0];
+    for (let i = 1; i < lengths.length; i++) {
+      const label = `x${i}`;
+      const offset = Math.max(0, length - fadeSeconds);
+      parts.push(
+        `[${prev}][v${i}]xfade=transition=${xfade}:duration=${fadeSeconds}:offset=${offset.toFixed(3)}[${label}]`
+      );
+      length = offset + lengths[i];
+      prev = label;
+    }
+    joined = prev;
+  } else {
+    const concatInputs = lengths.map((_, i) => `[v${i}]`).join("");
+    parts.push(`${concatInputs}concat=n=${lengths.length}:v=1:a=0[joined]`);
+    joined = "joined";
+  }
+
+  // Exact length: hold the last frame if short, cut if long
+  parts.push(
+    `[${joined}]tpad=stop_mode=clone:stop_duration=${targetSeconds},trim=duration=${targetSeconds},setpts=PTS-STARTPTS[vout]`
+  );
+}
+
+/*
+  Segment chain: trim → (deshake) → fps/format normalised → (zoompan on static shots),
+  then joined with xfade (the job's transition, see jobTransition) or concat for "cut".
+  Each xfade eats TRANSITION_SECONDS of runtime, so segments are lengthened by that much where
+  the walkthrough allows; the result is then padded (last frame held) / trimmed to exactly targetSeconds
+  so the background always matches the avatar.
+*/
+async function buildMontageVideo(inWalkPath, outMontagePath, segments, targetSeconds, transition = MONTAGE_TRANSITION) {
   const MIN_SEGMENT_TOTAL_RATIO = 0.8; // must cover at least 80% of target
   const SAFE_MIN_SECONDS = 10;
 
@@ -257,18 +797,60 @@ async function buildMontageVideo(inWalkPath, outMontagePath, segments, targetSec
     return simpleTrimFallback(inWalkPath, outMontagePath, targetSeconds);
   }
 
-  // Build trim filters
+  const walkDuration = (await getVideoDurationSeconds(inWalkPath)) || Infinity;
+  let segs = segments
+    .map((seg) => {
+      const s = Math.max(0, Number(seg.start || 0));
+      return { start: s, end: Math.min(walkDuration, Math.max(s, Number(seg.end || s))) };
+    })
+    .filter((seg) => seg.end > seg.start);
+
+  const xfade = segs.length > 1 ? XFADE_TRANSITIONS[transition] : null;
+  if (segs.length > 1 && !xfade && transition !== "cut")
+    console.log(`⚠️ Unknown transition "${transition}"; using hard cuts.`);
+
+  // Never let a transition swallow more than half of the shortest segment
+  const shortest = Math.min(...segs.map((seg) => seg.end - seg.start));
+  const fadeSeconds = xfade ? Math.min(TRANSITION_SECONDS, shortest / 2) : 0;
+
+  // Give back the runtime the transitions take (segments may run into the next one, never past the video)
+  if (fadeSeconds > 0) {
+    segs = segs.map((seg, i) =>
+      i < segs.length - 1 ? { ...seg, end: Math.min(walkDuration, seg.end + fadeSeconds) } : seg
+    );
+  }
+
+  if (MONTAGE_ZOOM) segs = await markStaticSegments(inWalkPath, segs);
+  const size = MONTAGE_ZOOM ? await getVideoSize(inWalkPath) : null;
+
+  // Build per-segment chains
   const parts = [];
-  for (let i = 0; i < segments.length; i++) {
-    const s = Math.max(0, Number(segments[i].start || 0));
-    const e = Math.max(s, Number(segments[i].end || s));
-    parts.push(`[0:v]trim=start=${s}:end=${e},setpts=PTS-STARTPTS[v${i}]`);
+  for (let i = 0; i < segs.length; i++) {
+    const { start, end } = segs[i];
+    const chain = [`trim=start=${start}:end=${end}`, "setpts=PTS-STARTPTS"];
+
+    if (MONTAGE_STABILIZE) chain.push("deshake");
+    chain.push(`fps=${MONTAGE_FPS}`, "format=yuv420p", "setsar=1");
+
+    if (segs[i].static && size?.w && size?.h) {
+      const frames = Math.max(1, Math.round((end - start) * MONTAGE_FPS));
+      // alternate push-in / pull-out so consecutive static shots don't feel identical
+      const zoom =
+        i % 2 === 0
+          ? `1+${MONTAGE_ZOOM_AMOUNT}*on/${frames}`
+          : `1+${MONTAGE_ZOOM_AMOUNT}-${MONTAGE_ZOOM_AMOUNT}*on/${frames}`;
+      chain.push(
+        `zoompan=z='${zoom}':x='iw/2-(iw/zoom/2)':y='ih/2-(ih/zoom/2)':d=1:s=${size.w}x${size.h}:fps=${MONTAGE_FPS}`
+      );
+    }
+
+    chain.push("settb=AVTB");
+    parts.push(`[0:v]${chain.join(",")}[v${i}]`);
   }
 
-  const concatInputs = segments.map((_, i) => `[v${i}]`).join("");
-  const filter =
-    `${parts.join(";")};` +
-    `${concatInputs}concat=n=${segments.length}:v=1:a=0[vout]`;
+  joinClips(parts, segs.map((seg) => seg.end - seg.start), xfade, fadeSeconds, targetSeconds);
+
+  const filter = parts.join(";");
 
   await runFFmpeg([
     "-y",
@@ -299,7 +881,8 @@ async function simpleTrimFallback(inWalkPath, outMontagePath, targetSeconds) {
     "-t",
     String(targetSeconds),
     "-vf",
-    "setpts=PTS-STARTPTS,fps=30",
+    // hold the last frame when the walkthrough is shorter than the avatar
+    `setpts=PTS-STARTPTS,fps=${MONTAGE_FPS},tpad=stop_mode=clone:stop_duration=${targetSeconds}`,
     "-c:v",
     "libx264",
     "-preset",
@@ -319,343 +902,2683 @@ async function extractAudioToM4a(videoPath, audioPath) {
     "-i",
     videoPath,
     "-vn",
+    "-ac",
+    "1",
     "-acodec",
     "aac",
     "-b:a",
-    "128k",
+    "64k", // mono speech: ~0.5MB/min, keeps chunks far below the Whisper upload limit
     audioPath,
   ]);
 }
 
-function estimateWordTarget(seconds) {
-  // Approx 150 words per minute ≈ 2.5 words per second
-  return Math.round(seconds * 2.5);
-}  
+async function cutAudio(audioPath, outPath, start, seconds) {
+  await runFFmpeg(["-y", "-ss", String(start), "-t", String(seconds), "-i", audioPath, "-c", "copy", outPath]);
+}
+
+async function whisperVerbose(audioPath) {
+  const res = await openai.audio.transcriptions.create({
+    model: "whisper-1",
+    file: fs.createReadStream(audioPath),
+    response_format: "verbose_json",
+  });
+
+  return {
+    text: String(res?.text || "").trim(),
+    segments: (Array.isArray(res?.segments) ? res.segments : []).map((s) => ({
+      start: Number(s.start || 0),
+      end: Number(s.end || 0),
+      text: String(s.text || "").trim(),
+    })),
+  };
+}
+
+/*
+  Long audio is transcribed in chunks of TRANSCRIBE_CHUNK_SECONDS, each padded by
+  TRANSCRIBE_OVERLAP_SECONDS on both sides so words at a cut aren't lost.
+  Segment times are shifted by the chunk offset; in the overlap, a segment belongs
+  to the chunk whose core range contains its midpoint (so nothing is doubled).
+*/
+async function transcribeAudio(audioPath, duration, jobId) {
+  if (!duration || duration <= TRANSCRIBE_CHUNK_SECONDS + TRANSCRIBE_OVERLAP_SECONDS) {
+    console.log("🧠 Whisper transcribing full audio (verbose_json) …");
+    const { text, segments } = await whisperVerbose(audioPath);
+    return { transcript: text, segments };
+  }
+
+  const chunkCount = Math.ceil(duration / TRANSCRIBE_CHUNK_SECONDS);
+  const merged = [];
+
+  for (let i = 0; i < chunkCount; i++) {
+    const coreStart = i * TRANSCRIBE_CHUNK_SECONDS;
+    const coreEnd = Math.min(duration, coreStart + TRANSCRIBE_CHUNK_SECONDS);
+    const from = Math.max(0, coreStart - TRANSCRIBE_OVERLAP_SECONDS);
+    const to = Math.min(duration, coreEnd + TRANSCRIBE_OVERLAP_SECONDS);
+    const isLast = i === chunkCount - 1;
+
+    const chunkPath = path.join("/tmp", `audio-${jobId}-${i}.m4a`);
+    try {
+      console.log(`🧠 Whisper chunk ${i + 1}/${chunkCount} (${Math.round(from)}–${Math.round(to)}s) …`);
+      await cutAudio(audioPath, chunkPath, from, to - from);
+      const { segments } = await whisperVerbose(chunkPath);
+
+      for (const seg of segments) {
+        const start = seg.start + from;
+        const end = seg.end + from;
+        const mid = (start + end) / 2;
+        if (mid < coreStart || (mid >= coreEnd && !isLast)) continue;
+        if (seg.text) merged.push({ start, end, text: seg.text });
+      }
+    } finally {
+      safeUnlink(chunkPath);
+    }
+  }
+
+  return { transcript: merged.map((s) => s.text).join(" ").trim(), segments: merged };
+}
+
+// Spread the planner's TIMED_SEGMENTS over the whole recording: one per bucket, the wordiest
+function sampleTimedSegments(segments, max) {
+  if (segments.length <= max) return segments;
+
+  const picked = [];
+  for (let b = 0; b < max; b++) {
+    const bucket = segments.slice(Math.floor((b * segments.length) / max), Math.floor(((b + 1) * segments.length) / max));
+    if (!bucket.length) continue;
+    picked.push(bucket.reduce((best, s) => (s.text.split(/\s+/).length > best.text.split(/\s+/).length ? s : best)));
+  }
+  return picked;
+}
+
+function jobLanguage(job) {
+  const code = String(job?.language || DEFAULT_LANGUAGE).toLowerCase();
+  if (!LANGUAGES[code]) throw fatalError(`Unsupported language: ${code}`);
+  return { code, ...LANGUAGES[code] };
+}
+
+function estimateWordTarget(seconds, language = LANGUAGES[DEFAULT_LANGUAGE]) {
+  // English ≈ 150 words per minute ≈ 2.5 words per second; see LANGUAGES for the others
+  return Math.round(seconds * language.wordsPerSecond);
+}
+
+// Prompt rule shared by both planners
+function languageRule(language) {
+  return (
+    `- Write every line and the script in ${language.name}` +
+    (language.code === DEFAULT_LANGUAGE ? ".\n" : ", translating anything given in another language.\n")
+  );
+}
 
-async function generateMontagePlanFromWalkthrough(walkthroughUrl, jobId, targetSeconds) {
+async function generateMontagePlanFromWalkthrough(job, targetSeconds) {
+  const jobId = job.id;
+  const language = jobLanguage(job);
   const tmp = "/tmp";
   const videoPath = path.join(tmp, `walk-${jobId}.mp4`);
   const audioPath = path.join(tmp, `audio-${jobId}.m4a`);
 
   try {
-    await downloadFile(walkthroughUrl, videoPath);
+    await downloadWalkthrough(job, videoPath);
 
-    // cost control: reject > 5 min
-    const duration = await getVideoDurationSeconds(videoPath);
+    // cost control: reject > MAX_TRANSCRIBE_SECONDS (the API already probed it; re-check for older jobs)
+    const duration = Number(job.media_probe?.duration) || (await getVideoDurationSeconds(videoPath));
     if (duration && duration > MAX_TRANSCRIBE_SECONDS) {
-      throw new Error(
+      throw fatalError(
         `Walkthrough is ${Math.round(duration)}s (~${Math.ceil(duration / 60)}min). ` +
           `Max allowed is ${MAX_TRANSCRIBE_SECONDS}s (${Math.ceil(MAX_TRANSCRIBE_SECONDS / 60)}min).`
       );
     }
 
-    await extractAudioToM4a(videoPath, audioPath);
-
-    console.log("🧠 Whisper transcribing full audio (verbose_json) …");
-    const transcriptRes = await openai.audio.transcriptions.create({
-      model: "whisper-1",
-      file: fs.createReadStream(audioPath),
-      response_format: "verbose_json",
-    });
+    const withAudio = job.media_probe ? Boolean(job.media_probe.audio) : await hasAudioStream(videoPath);
 
-    const transcript = String(transcriptRes?.text || "").trim();
-    const segs = Array.isArray(transcriptRes?.segments) ? transcriptRes.segments : [];
+    let transcript = "";
+    let segs = [];
+    if (withAudio) {
+      await extractAudioToM4a(videoPath, audioPath);
+      // No language hint: the agent may speak another language than the narration (Whisper detects it)
+      ({ transcript, segments: segs } = await transcribeAudio(audioPath, duration, jobId));
+    }
 
-    if (!transcript) throw new Error("Empty transcript from Whisper");
+    // Agent didn't talk while filming (or only music): plan from the pictures instead
+    if (transcript.split(/\s+/).filter(Boolean).length < MIN_TRANSCRIPT_WORDS) {
+      const rooms = await buildVisualTimeline(videoPath, duration, jobId);
+      const plan = await planFromVisuals(videoPath, duration || targetSeconds, job, targetSeconds, rooms, language);
+      const warnings = plan.segments.filter((s) => s.room_mismatch).map((s) => `${s.start}–${s.end}: names ${s.room_mismatch.join(", ")}`);
+      return {
+        transcript,
+        plan,
+        planAttempts: [{ attempt: 1, at: new Date().toISOString(), mode: "visual", ok: true, errors: [], warnings }],
+      };
+    }
 
-    const timed = segs.slice(0, MAX_SEGMENTS_TO_SEND).map((s) => ({
-      start: Number(s.start || 0),
-      end: Number(s.end || 0),
-      text: String(s.text || "").trim(),
-    }));
+    const timed = sampleTimedSegments(segs, MAX_SEGMENTS_TO_SEND);
+    const rooms = await buildVisualTimeline(videoPath, duration, jobId);
 
-    const wordTarget = estimateWordTarget(targetSeconds);
+    const wordTarget = estimateWordTarget(targetSeconds, language);
 
     console.log("✍️ GPT building montage plan …");
 
-    const planRes = await openai.chat.completions.create({
-      model: process.env.OPENAI_SCRIPT_MODEL || "gpt-4o-mini",
-      temperature: 0.4,
-      messages: [
-        {
-          role: "system",
-          content:
-            "You are a senior video editor for real-estate walk-throughs. " +
-            "Create a montage plan that stays synced with narration.\n\n" +
-            "Return ONLY valid JSON:\n" +
-            "{\n" +
-            '  "segments": [ { "start": number, "end": number, "line": string } ],\n' +
-            '  "script": string\n' +
-            "}\n\n" +
-            `Rules:\n- Total duration (sum of end-start) ≈ ${targetSeconds} seconds (±3s).\n` +
-            "- Segments MUST be chronological.\n" +
-            "- Each segment 6–25 seconds.\n" +
-            "- Each segment 'line' MUST describe what is being shown in that window.\n" +
-            "- 'script' should be a natural narration built from the lines.\n" +
-            "- Style: confident agent voice, no bullets/headings/emojis/stage directions. " +
-            "Do NOT say 'walkthrough', 'recording', or 'this video'. End with a call-to-action.\n" +
-            `- Keep the full narration around ${wordTarget} words.\n`,
-        },
-        {
-          role: "user",
-          content:
-            `TARGET_SECONDS: ${targetSeconds}\n\n` +
-            `FULL_TRANSCRIPT:\n${transcript}\n\n` +
-            `TIMED_SEGMENTS:\n${JSON.stringify(timed)}\n`,
-        },
-      ],
-    });
-
-    const raw = String(planRes?.choices?.[0]?.message?.content || "").trim();
-    const json = safeJsonParse(raw);
-
-    if (!json?.segments?.length) {
-      console.log("⚠️ Montage plan invalid JSON; fallback to first segment.");
-      return {
-        transcript,
-        plan: {
-          segments: [{ start: 0, end: targetSeconds, line: "" }],
-          script: "",
-        },
-      };
-    }
+    const messages = [
+      {
+        role: "system",
+        content:
+          "You are a senior video editor for real-estate walk-throughs. " +
+          "Create a montage plan that stays synced with narration.\n\n" +
+          "Return ONLY valid JSON:\n" +
+          "{\n" +
+          '  "segments": [ { "start": number, "end": number, "line": string } ],\n' +
+          '  "script": string\n' +
+          "}\n\n" +
+          `Rules:\n- Total duration (sum of end-start) ≈ ${Math.floor(duration ? Math.min(targetSeconds, duration) : targetSeconds)} seconds (±${PLAN_TOTAL_TOLERANCE_SECONDS}s).\n` +
+          "- Segments MUST be chronological and must not overlap.\n" +
+          `- Each segment ${PLAN_MIN_SEGMENT_SECONDS}–${PLAN_MAX_SEGMENT_SECONDS} seconds` +
+          (duration ? `, within 0–${Math.floor(duration)} seconds of the walkthrough.\n` : ".\n") +
+          "- Each segment 'line' MUST describe what is being shown in that window.\n" +
+          (rooms.length
+            ? "- VISUAL_TIMELINE says which room is on screen when; never name a room that isn't on screen in that window.\n"
+            : "") +
+          "- 'script' should be a natural narration built from the lines.\n" +
+          languageRule(language) +
+          (jobListing(job)
+            ? "- LISTING is ground truth for price, rooms, size and address: use it, never contradict it, and don't invent other figures.\n"
+            : "") +
+          "- Style: confident agent voice, no bullets/headings/emojis/stage directions. " +
+          "Do NOT say 'walkthrough', 'recording', or 'this video'. End with a call-to-action.\n" +
+          `- Keep the full narration around ${wordTarget} words.\n`,
+      },
+      {
+        role: "user",
+        content:
+          `TARGET_SECONDS: ${targetSeconds}\n\n` +
+          listingContext(job) +
+          (listingContext(job) ? "\n" : "") +
+          `FULL_TRANSCRIPT:\n${transcript}\n\n` +
+          `TIMED_SEGMENTS:\n${JSON.stringify(timed)}\n` +
+          (rooms.length ? `\nVISUAL_TIMELINE:\n${JSON.stringify(rooms)}\n` : ""),
+      },
+    ];
 
     const maxT =
       duration ||
       (segs.length ? Number(segs[segs.length - 1]?.end || 0) : null) ||
       null;
 
-    let cleaned = [];
-    let sum = 0;
-    let lastStart = -1;
-
-    for (const seg of json.segments) {
-      let s = Number(seg.start || 0);
-      let e = Number(seg.end || 0);
-      if (!Number.isFinite(s) || !Number.isFinite(e) || e <= s) continue;
+    const { plan, attempts } = await requestMontagePlan(messages, { targetSeconds, maxT, rooms, language });
+    return { transcript, plan, planAttempts: attempts };
+  } finally {
+    safeUnlink(videoPath);
+    safeUnlink(audioPath);
+  }
+}
 
-      if (maxT && maxT > 0) {
-        s = clamp(s, 0, maxT);
-        e = clamp(e, 0, maxT);
-        if (e <= s) continue;
-      } else {
-        s = Math.max(0, s);
-        e = Math.max(s, e);
-      }
+/* ==============================
+   MONTAGE PLAN VALIDATION
+============================== */
+const MONTAGE_PLAN_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["segments", "script"],
+  properties: {
+    segments: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["start", "end", "line"],
+        properties: {
+          start: { type: "number" },
+          end: { type: "number" },
+          line: { type: "string" },
+        },
+      },
+    },
+    script: { type: "string" },
+  },
+};
+
+/*
+  Checks a parsed plan against the montage rules.
+  Returns { errors, warnings, segments, script }: errors are what the model is asked to fix,
+  warnings (rooms named off-screen) are only recorded. segments is the cleaned list
+  (invalid segments dropped), used when the repair budget runs out.
+*/
+function validateMontagePlan(json, { targetSeconds, maxT, rooms }) {
+  const errors = [];
+  const segments = [];
+
+  if (!json || typeof json !== "object") return { errors: ["response is not a JSON object"], warnings: [], segments, script: "" };
+  if (!Array.isArray(json.segments) || !json.segments.length) errors.push("segments must be a non-empty array");
+
+  let lastEnd = 0;
+  for (const [i, seg] of (Array.isArray(json.segments) ? json.segments : []).entries()) {
+    const s = Number(seg?.start);
+    const e = Number(seg?.end);
+    const d = e - s;
+    const where = `segments[${i}] (${seg?.start}–${seg?.end})`;
+
+    if (!Number.isFinite(s) || !Number.isFinite(e) || e <= s) errors.push(`${where}: start/end must be numbers with end > start`);
+    else if (s < 0 || (maxT && e > maxT + 0.5)) errors.push(`${where}: outside the walkthrough (0–${Math.floor(maxT || 0)}s)`);
+    else if (s < lastEnd) errors.push(`${where}: not chronological / overlaps the previous segment (ends ${lastEnd})`);
+    else if (d < PLAN_MIN_SEGMENT_SECONDS || d > PLAN_MAX_SEGMENT_SECONDS)
+      errors.push(`${where}: ${d.toFixed(1)}s long, must be ${PLAN_MIN_SEGMENT_SECONDS}–${PLAN_MAX_SEGMENT_SECONDS}s`);
+    else if (!String(seg?.line || "").trim()) errors.push(`${where}: empty line`);
+    else {
+      segments.push({ start: s, end: maxT ? Math.min(e, maxT) : e, line: String(seg.line).trim() });
+      lastEnd = e;
+    }
+  }
 
-      if (s <= lastStart) continue; // enforce chronological
-      lastStart = s;
+  // A walkthrough shorter than the target can only fill its own length
+  const wanted = maxT ? Math.min(targetSeconds, maxT) : targetSeconds;
+  const total = segments.reduce((sum, seg) => sum + (seg.end - seg.start), 0);
+  if (segments.length && Math.abs(total - wanted) > PLAN_TOTAL_TOLERANCE_SECONDS)
+    errors.push(`valid segments total ${total.toFixed(1)}s, must be ${Math.floor(wanted)}s ±${PLAN_TOTAL_TOLERANCE_SECONDS}s`);
 
-      const d = e - s;
-      if (d < 6 || d > 25) continue;
+  const script = String(json.script || "").trim();
+  if (!script) errors.push("script is empty");
 
-      cleaned.push({
-        start: s,
-        end: e,
-        line: String(seg.line || "").trim(),
-      });
+  const flagged = flagRoomMismatches(segments, rooms);
+  const warnings = flagged
+    .map((seg, i) => (seg.room_mismatch ? `segments[${i}]: line names ${seg.room_mismatch.join(", ")} but shows ${seg.rooms.join(", ")}` : null))
+    .filter(Boolean);
 
-      sum += d;
-      if (sum >= targetSeconds - 2) break;
-    }
+  return { errors, warnings, segments: flagged, script };
+}
 
-    if (!cleaned.length) {
-      cleaned = [{ start: 0, end: targetSeconds, line: "" }];
-    }
+/*
+  Asks for a plan with structured output (json_schema), validates it, and on failure sends
+  the errors back for up to PLAN_MAX_ATTEMPTS tries. Every attempt is returned for
+  render_jobs.plan_attempts. If no attempt validates, the best one's valid segments are used.
+*/
+async function requestMontagePlan(messages, ctx) {
+  const attempts = [];
+  let best = null;
+
+  for (let attempt = 1; attempt <= PLAN_MAX_ATTEMPTS; attempt++) {
+    const res = await openai.chat.completions.create({
+      model: process.env.OPENAI_SCRIPT_MODEL || "gpt-4o-mini",
+      temperature: 0.4,
+      response_format: {
+        type: "json_schema",
+        json_schema: { name: "montage_plan", strict: true, schema: MONTAGE_PLAN_SCHEMA },
+      },
+      messages,
+    });
 
-    const script =
-      String(json.script || "").trim() ||
-      cleaned.map((x) => x.line).filter(Boolean).join(" ").trim();
+    const raw = String(res?.choices?.[0]?.message?.content || "").trim();
+    const report = validateMontagePlan(safeJsonParse(raw), ctx);
+
+    attempts.push({
+      attempt,
+      at: new Date().toISOString(),
+      mode: "transcript",
+      ok: report.errors.length === 0,
+      errors: report.errors,
+      warnings: report.warnings,
+      raw: raw.slice(0, 20000),
+    });
 
-    if (!script) {
-      // last resort: create minimal script
-      return { transcript, plan: { segments: cleaned, script: "A quick highlight tour of this property—get in touch to book a viewing." } };
+    if (!best || report.errors.length < best.errors.length) best = report;
+    if (!report.errors.length) {
+      console.log(`✅ Montage plan valid (attempt ${attempt})`);
+      break;
     }
 
-    return { transcript, plan: { segments: cleaned, script } };
-  } finally {
-    safeUnlink(videoPath);
-    safeUnlink(audioPath);
+    console.log(`⚠️ Montage plan attempt ${attempt} invalid:`, report.errors.join("; "));
+    messages = [
+      ...messages,
+      { role: "assistant", content: raw },
+      {
+        role: "user",
+        content:
+          "That plan failed validation:\n" +
+          report.errors.map((e) => `- ${e}`).join("\n") +
+          "\nReturn the complete corrected JSON plan.",
+      },
+    ];
+  }
+
+  let segments = best.segments;
+  if (!segments.length) {
+    console.log("⚠️ No valid montage segments after repair; fallback to first segment.");
+    segments = [{ start: 0, end: ctx.targetSeconds, line: "" }];
   }
+
+  const script =
+    best.script ||
+    segments.map((x) => x.line).filter(Boolean).join(" ").trim() ||
+    ctx.language.fallbackScript;
+
+  return { plan: { segments, script }, attempts };
 }
 
 /* ==============================
-   HEYGEN
+   VISION ROOM LABELS
 ============================== */
-async function createHeygenVideo({ scriptText, jobId, avatarId, voiceId }) {
-  const callbackUrl =
-    `${HEYGEN_CALLBACK_BASE_URL}` +
-    `?token=${encodeURIComponent(HEYGEN_WEBHOOK_SECRET)}` +
-    `&job_id=${encodeURIComponent(jobId)}`;
+const ROOM_LABELS = [
+  "exterior",
+  "entrance",
+  "living_room",
+  "kitchen",
+  "dining_room",
+  "bedroom",
+  "bathroom",
+  "office",
+  "laundry",
+  "garage",
+  "hallway",
+  "stairs",
+  "balcony",
+  "garden",
+  "pool",
+  "view",
+  "other",
+];
+
+// Words that, in a narration line, claim a specific room is on screen
+const ROOM_KEYWORDS = {
+  exterior: ["exterior", "facade", "façade", "curb appeal", "front of the home", "driveway"],
+  entrance: ["entrance", "entry", "foyer", "front door"],
+  living_room: ["living room", "lounge", "family room", "living area"],
+  kitchen: ["kitchen", "island", "pantry", "countertop", "appliances"],
+  dining_room: ["dining"],
+  bedroom: ["bedroom", "master suite", "primary suite", "guest room"],
+  bathroom: ["bathroom", "ensuite", "en-suite", "shower", "bathtub", "powder room", "vanity"],
+  office: ["office", "study"],
+  laundry: ["laundry", "utility room"],
+  garage: ["garage"],
+  stairs: ["staircase", "stairs"],
+  balcony: ["balcony", "terrace", "deck", "patio"],
+  garden: ["garden", "backyard", "back yard", "lawn", "yard"],
+  pool: ["pool"],
+};
+
+// One JPEG every VISION_SAMPLE_SECONDS (spread out further for long videos to stay under VISION_MAX_FRAMES)
+async function extractFrames(videoPath, duration, jobId) {
+  const every = Math.max(VISION_SAMPLE_SECONDS, Math.ceil((duration || 0) / VISION_MAX_FRAMES));
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `frames-${jobId}-`));
 
-  console.log("🎬 Creating HeyGen video for job:", jobId);
-  console.log("Callback URL:", callbackUrl);
+  await runFFmpeg([
+    "-y",
+    "-i",
+    videoPath,
+    "-an",
+    "-vf",
+    `fps=1/${every},scale=512:-2`,
+    "-q:v",
+    "5",
+    "-frames:v",
+    String(VISION_MAX_FRAMES),
+    path.join(dir, "f-%04d.jpg"),
+  ]);
 
-  const payload = {
-    video_inputs: [
+  const frames = fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith(".jpg"))
+    .sort()
+    .map((f, i) => ({ t: i * every, path: path.join(dir, f) })); // fps=1/every samples at 0, every, 2·every, …
+
+  return { dir, every, frames };
+}
+
+async function labelFrameBatch(batch) {
+  const res = await openai.chat.completions.create({
+    model: process.env.OPENAI_VISION_MODEL || "gpt-4o-mini",
+    temperature: 0,
+    response_format: { type: "json_object" },
+    messages: [
       {
-        character: { type: "avatar", avatar_id: avatarId },
-        voice: { type: "text", voice_id: voiceId, input_text: scriptText.trim() },
-        background: { type: "color", value: KEY_COLOR_HEX },
+        role: "system",
+        content:
+          "You label frames from a real-estate property tour video.\n" +
+          'Return ONLY valid JSON: { "frames": [ { "index": number, "room": string, "features": string[] } ] }\n' +
+          `- room is one of: ${ROOM_LABELS.join(", ")}\n` +
+          "- features: up to 3 short notable visible features (e.g. 'marble island', 'walk-in shower', 'sea view'); [] if none\n" +
+          "- one entry per image, index as given",
+      },
+      {
+        role: "user",
+        content: batch.flatMap((f, i) => [
+          { type: "text", text: `index ${i}` },
+          {
+            type: "image_url",
+            image_url: {
+              url: `data:${imageMime(f.path) || "image/jpeg"};base64,${fs.readFileSync(f.path).toString("base64")}`,
+              detail: "low",
+            },
+          },
+        ]),
       },
     ],
-    dimension: { width: 1080, height: 1920 },
-    callback_url: callbackUrl,
-  };
+  });
 
-  const resp = await fetchWithTimeout("https://api.heygen.com/v2/video/generate", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-Api-Key": HEYGEN_API_KEY,
-    },
-    body: JSON.stringify(payload),
+  const json = safeJsonParse(String(res?.choices?.[0]?.message?.content || "").trim());
+  const labels = Array.isArray(json?.frames) ? json.frames : [];
+
+  return batch.map((f, i) => {
+    const hit = labels.find((l) => Number(l?.index) === i) || {};
+    const room = ROOM_LABELS.includes(hit.room) ? hit.room : "other";
+    const features = Array.isArray(hit.features) ? hit.features.map((x) => String(x).trim()).filter(Boolean).slice(0, 3) : [];
+    return { t: f.t, room, features };
   });
+}
 
-  const text = await resp.text().catch(() => "");
-  let json = null;
+/*
+  Visual timeline: consecutive frames with the same room merged into
+  [{ start, end, room, features }]. Best effort — a vision failure only loses the grounding,
+  the plan is still built from the transcript.
+*/
+async function buildVisualTimeline(videoPath, duration, jobId) {
+  if (!VISION_ENABLED) return [];
+
+  let extracted = null;
   try {
-    json = text ? JSON.parse(text) : null;
+    console.log("👁 Labelling walkthrough frames …");
+    extracted = await extractFrames(videoPath, duration, jobId);
+    const { every, frames } = extracted;
+
+    const labelled = [];
+    for (let i = 0; i < frames.length; i += VISION_BATCH_SIZE) {
+      labelled.push(...(await labelFrameBatch(frames.slice(i, i + VISION_BATCH_SIZE))));
+    }
+
+    const timeline = [];
+    for (const f of labelled) {
+      const start = Math.max(0, f.t - every / 2);
+      const end = duration ? Math.min(duration, f.t + every / 2) : f.t + every / 2;
+      const last = timeline[timeline.length - 1];
+
+      if (last && last.room === f.room) {
+        last.end = end;
+        for (const feat of f.features) if (!last.features.includes(feat)) last.features.push(feat);
+      } else {
+        timeline.push({ start, end, room: f.room, features: [...f.features] });
+      }
+    }
+
+    for (const r of timeline) {
+      r.start = Math.round(r.start * 10) / 10;
+      r.end = Math.round(r.end * 10) / 10;
+      r.features = r.features.slice(0, 5);
+    }
+
+    console.log(`✅ Visual timeline: ${timeline.map((r) => r.room).join(" → ")}`);
+    return timeline;
+  } catch (e) {
+    console.log("⚠️ Frame labelling failed; planning without visual timeline:", e?.message || e);
+    return [];
+  } finally {
+    if (extracted?.dir) fs.rmSync(extracted.dir, { recursive: true, force: true });
+  }
+}
+
+function roomsInWindow(rooms, start, end) {
+  return rooms.filter((r) => r.end > start && r.start < end);
+}
+
+function roomsNamedIn(line) {
+  const text = ` ${String(line || "").toLowerCase()} `;
+  return Object.keys(ROOM_KEYWORDS).filter((room) =>
+    // whole words (plurals allowed): "deck" must not match "decked", nor "pool" "pooled"
+    ROOM_KEYWORDS[room].some((kw) => new RegExp(`\\b${kw.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}(?:e?s)?\\b`).test(text))
+  );
+}
+
+/*
+  Tags each segment with the room(s) on screen and flags lines that name a room
+  the frames don't show: { ..., rooms: [...], room_mismatch: ["kitchen"] }.
+  Flagged plans are kept as-is (the reviewer sees the flag when require_approval is set).
+*/
+function flagRoomMismatches(segments, rooms) {
+  if (!rooms.length) return segments;
+
+  let flagged = 0;
+  const out = segments.map((seg) => {
+    const shown = [...new Set(roomsInWindow(rooms, seg.start, seg.end).map((r) => r.room))];
+    const named = roomsNamedIn(seg.line);
+    // "other"/"view" frames can't contradict anything
+    const ambiguous = shown.includes("other") || shown.includes("view") || !shown.length;
+    const mismatch = ambiguous ? [] : named.filter((room) => !shown.includes(room));
+
+    if (mismatch.length) flagged++;
+    return { ...seg, rooms: shown, ...(mismatch.length ? { room_mismatch: mismatch } : {}) };
+  });
+
+  if (flagged) console.log(`⚠️ ${flagged} plan segment(s) name a room that isn't on screen`);
+  return out;
+}
+
+/* ==============================
+   VISUAL PLANNING (no usable narration)
+============================== */
+// Parses metadata=print output into [{ t, ...numericKeys }]
+function parseFrameMetadata(out, keys) {
+  const frames = [];
+  let cur = null;
+
+  for (const line of String(out || "").split("\n")) {
+    const head = line.match(/pts_time:([\d.]+)/);
+    if (head) {
+      cur = { t: Number(head[1]) };
+      frames.push(cur);
+      continue;
+    }
+    const kv = line.match(/^(lavfi\.[\w.]+)=([-\d.]+)/);
+    if (cur && kv && keys[kv[1]]) cur[keys[kv[1]]] = Number(kv[2]);
+  }
+  return frames;
+}
+
+/*
+  Two cheap passes at 2fps / 320px:
+  - brightness (signalstats YAVG) + scene score (frame-to-frame change)
+  - sharpness = edge density (edgedetect, then YAVG of the edge map)
+*/
+const ANALYSIS_SCALE = "fps=2,scale=320:-2";
+
+// [{ t, brightness, scene }] at 2fps
+async function sceneFrames(videoPath) {
+  const out = await runFFmpegCapture([
+    "-hide_banner",
+    "-i",
+    videoPath,
+    "-an",
+    "-vf",
+    `${ANALYSIS_SCALE},signalstats,select=gte(scene\\,0),metadata=print:file=-`,
+    "-f",
+    "null",
+    "-",
+  ]);
+  return parseFrameMetadata(out, {
+    "lavfi.signalstats.YAVG": "brightness",
+    "lavfi.scene_score": "scene",
+  });
+}
+
+async function analyzeFrames(videoPath) {
+  const stats = await sceneFrames(videoPath);
+  const edgeOut = await runFFmpegCapture([
+    "-hide_banner",
+    "-i",
+    videoPath,
+    "-an",
+    "-vf",
+    `${ANALYSIS_SCALE},edgedetect=low=0.1:high=0.4,signalstats,metadata=print:key=lavfi.signalstats.YAVG:file=-`,
+    "-f",
+    "null",
+    "-",
+  ]);
+
+  const edges = parseFrameMetadata(edgeOut, { "lavfi.signalstats.YAVG": "edges" });
+
+  return stats.map((f, i) => ({
+    t: f.t,
+    brightness: f.brightness ?? 0,
+    scene: f.scene ?? 0,
+    edges: edges[i]?.edges ?? 0,
+  }));
+}
+
+// 0..1 per frame: well exposed, sharp, steady
+function scoreFrames(frames) {
+  const sortedEdges = frames.map((f) => f.edges).sort((a, b) => a - b);
+  const p95 = sortedEdges[Math.floor(sortedEdges.length * 0.95)] || 1;
+
+  return frames.map((f) => {
+    const exposure = clamp(1 - Math.abs(f.brightness - 120) / 120, 0, 1);
+    const sharpness = clamp(f.edges / p95, 0, 1);
+    const stability = clamp(1 - f.scene * 10, 0, 1);
+    return { ...f, cut: f.scene >= SCENE_CUT_THRESHOLD, score: 0.35 * exposure + 0.35 * sharpness + 0.3 * stability };
+  });
+}
+
+/*
+  Splits the video into one zone per wanted segment (so the tour is covered end to end)
+  and picks the best-scoring window in each zone. Windows spanning a scene cut are penalised
+  (a cut inside a clip looks like a glitch).
+*/
+function pickVisualSegments(frames, duration, targetSeconds) {
+  const count = Math.max(1, Math.round(targetSeconds / VISUAL_SEGMENT_SECONDS));
+  const segLen = clamp(targetSeconds / count, 6, 25);
+
+  if (duration <= targetSeconds || !frames.length) {
+    const len = duration / count;
+    return Array.from({ length: count }, (_, i) => ({ start: i * len, end: (i + 1) * len }));
+  }
+
+  const zoneLen = duration / count;
+  const segments = [];
+
+  for (let z = 0; z < count; z++) {
+    const zoneStart = z * zoneLen;
+    const zoneEnd = Math.min(duration, zoneStart + zoneLen);
+    let best = { start: zoneStart, score: -Infinity };
+
+    for (let start = zoneStart; start + segLen <= zoneEnd + 0.01; start += 0.5) {
+      const window = frames.filter((f) => f.t >= start && f.t < start + segLen);
+      if (!window.length) continue;
+
+      const mean = window.reduce((sum, f) => sum + f.score, 0) / window.length;
+      const cuts = window.slice(1).filter((f) => f.cut).length;
+      const score = mean - cuts * 0.25;
+
+      if (score > best.score) best = { start, score };
+    }
+
+    segments.push({ start: best.start, end: Math.min(duration, best.start + segLen) });
+  }
+
+  return segments;
+}
+
+/* ==============================
+   LISTING DETAILS (render_jobs.listing, validated by the API)
+   { address, price, currency, bedrooms, bathrooms, area, area_unit,
+     agent_name, agent_phone, agent_email, features[] } — every key optional
+============================== */
+function jobListing(job) {
+  const l = job?.listing;
+  return l && typeof l === "object" && Object.keys(l).length ? l : null;
+}
+
+// Prompt block: the planner must treat these as the only facts it may state
+function listingContext(job) {
+  const listing = jobListing(job);
+  return (
+    (job.property_headline ? `PROPERTY_HEADLINE: ${job.property_headline}\n` : "") +
+    (listing ? `LISTING (ground truth):\n${JSON.stringify(listing)}\n` : "")
+  );
+}
+
+function formatPrice(listing, language) {
+  if (listing.price == null) return "";
+  try {
+    return new Intl.NumberFormat(language.locale, {
+      style: "currency",
+      currency: listing.currency || "USD",
+      maximumFractionDigits: 0,
+    }).format(listing.price);
+  } catch {
+    return `${listing.price} ${listing.currency || ""}`.trim();
+  }
+}
+
+/*
+  Lower-third text slots:
+  - title: address (or the headline when there's no address)
+  - details: "$450,000 · 3 bd · 2 ba · 1,850 sq ft" (empty without a listing)
+  - agent: "Name · phone · email"
+*/
+function listingSlots(job, language, headline) {
+  const listing = jobListing(job) || {};
+  const num = (n) => new Intl.NumberFormat(language.locale, { maximumFractionDigits: 1 }).format(n);
+  const { labels } = language;
+
+  const details = [
+    formatPrice(listing, language),
+    listing.bedrooms != null ? `${num(listing.bedrooms)} ${labels.beds}` : "",
+    listing.bathrooms != null ? `${num(listing.bathrooms)} ${labels.baths}` : "",
+    listing.area != null ? `${num(listing.area)} ${labels[listing.area_unit] || labels.sqft}` : "",
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  return {
+    headline,
+    title: String(listing.address || headline || "").trim(),
+    details,
+    agent: [listing.agent_name, listing.agent_phone, listing.agent_email].filter(Boolean).join(" · "),
+  };
+}
+
+async function planFromVisuals(videoPath, duration, job, targetSeconds, rooms = [], language = jobLanguage(job)) {
+  console.log("🎞 No usable narration: planning montage from scene analysis …");
+
+  const frames = scoreFrames(await analyzeFrames(videoPath));
+  const picked = pickVisualSegments(frames, duration, targetSeconds);
+  const { lines, script } = await writeClipNarration(job, {
+    medium:
+      "a silent property tour video. " +
+      "The clips follow the order of the tour (typically exterior, entrance, living areas, kitchen, bedrooms, bathrooms, garden)",
+    clips: picked.map((s) => {
+      const seen = roomsInWindow(rooms, s.start, s.end);
+      return {
+        seconds: Math.round(s.end - s.start),
+        ...(seen.length ? { shows: seen.map((r) => r.room), features: seen.flatMap((r) => r.features) } : {}),
+      };
+    }),
+    targetSeconds,
+    language,
+  });
+
+  const segments = flagRoomMismatches(
+    picked.map((s, i) => ({ start: s.start, end: s.end, line: lines[i] || "" })),
+    rooms
+  );
+
+  return { segments, script };
+}
+
+// One narration line per clip (silent walkthroughs, photo slideshows); clips = [{ seconds, shows?, features? }]
+async function writeClipNarration(job, { medium, clips, targetSeconds, language }) {
+  const wordTarget = estimateWordTarget(targetSeconds, language);
+
+  const res = await openai.chat.completions.create({
+    model: process.env.OPENAI_SCRIPT_MODEL || "gpt-4o-mini",
+    temperature: 0.5,
+    response_format: { type: "json_object" },
+    messages: [
+      {
+        role: "system",
+        content:
+          `You are a real-estate agent writing narration for ${medium}.\n\n` +
+          "Return ONLY valid JSON: { \"lines\": string[], \"script\": string }\n\n" +
+          "Rules:\n" +
+          `- Exactly ${clips.length} lines, one per clip, each sized to its clip length (~${language.wordsPerSecond} words per second).\n` +
+          "- Only state facts given in the listing details; otherwise describe the home in general, inviting terms.\n" +
+          "- 'script' is the lines joined into natural narration.\n" +
+          languageRule(language) +
+          "- Style: confident agent voice, no bullets/headings/emojis/stage directions. " +
+          "Do NOT say 'walkthrough', 'recording', or 'this video'. End with a call-to-action.\n" +
+          `- Keep the full narration around ${wordTarget} words.\n`,
+      },
+      {
+        role: "user",
+        content:
+          `TARGET_SECONDS: ${targetSeconds}\n` +
+          listingContext(job) +
+          `CLIPS:\n${JSON.stringify(clips.map((c, i) => ({ clip: i + 1, ...c })))}\n`,
+      },
+    ],
+  });
+
+  const json = safeJsonParse(String(res?.choices?.[0]?.message?.content || "").trim()) || {};
+  const lines = Array.isArray(json.lines) ? json.lines.map((l) => String(l || "").trim()) : [];
+  const script =
+    String(json.script || "").trim() ||
+    lines.filter(Boolean).join(" ").trim() ||
+    language.fallbackScript;
+
+  return { lines, script };
+}
+
+/* ==============================
+   PHOTO SLIDESHOW (source_type = "photos")
+   - plan segments are slideshow slots: { start, end, line, image } where image indexes image_urls
+   - durations are re-timed to the narration like montage segments, then rendered with pan/zoom
+============================== */
+// Sniffed from the file header: the URL's extension (or the server's content-type) may not match
+function imageMime(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  const head = Buffer.alloc(12);
+  try {
+    fs.readSync(fd, head, 0, 12, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return "image/jpeg";
+  if (head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "image/png";
+  if (head.toString("latin1", 0, 4) === "RIFF" && head.toString("latin1", 8, 12) === "WEBP") return "image/webp";
+  return null;
+}
+
+function photoPath(jobId, i, url) {
+  const ext = path.extname(String(url).split("?")[0]).toLowerCase();
+  return path.join("/tmp", `photo-${jobId}-${i}${[".jpg", ".jpeg", ".png", ".webp"].includes(ext) ? ext : ".jpg"}`);
+}
+
+async function downloadPhotos(job, indexes) {
+  const urls = Array.isArray(job.image_urls) ? job.image_urls : [];
+  const paths = new Map();
+  try {
+    for (const i of indexes) {
+      if (!urls[i]) throw fatalError(`Plan references missing image ${i}`);
+      const p = photoPath(job.id, i, urls[i]);
+      paths.set(i, p);
+      await downloadFile(urls[i], p, MAX_PHOTO_BYTES);
+      if (!imageMime(p)) throw fatalError(`image_urls[${i}] is not a JPEG, PNG or WebP image`);
+    }
+  } catch (err) {
+    for (const p of paths.values()) safeUnlink(p);
+    throw err;
+  }
+  return paths;
+}
+
+async function generateSlideshowPlan(job, targetSeconds) {
+  const jobId = job.id;
+  const language = jobLanguage(job);
+  const urls = Array.isArray(job.image_urls) ? job.image_urls : [];
+  if (!urls.length) throw fatalError("Photo job has no image_urls");
+
+  // Too many photos for the length: keep an even spread (first and last included)
+  const maxPhotos = Math.max(1, Math.floor(targetSeconds / MIN_PHOTO_SECONDS));
+  const indexes =
+    urls.length <= maxPhotos
+      ? urls.map((_, i) => i)
+      : Array.from({ length: maxPhotos }, (_, k) => Math.round((k * (urls.length - 1)) / Math.max(1, maxPhotos - 1)));
+
+  const paths = await downloadPhotos(job, indexes);
+  try {
+    console.log(`🖼 Captioning ${indexes.length} photos …`);
+    const captions = [];
+    for (let k = 0; k < indexes.length; k += VISION_BATCH_SIZE) {
+      const batch = indexes.slice(k, k + VISION_BATCH_SIZE).map((i) => ({ t: i, path: paths.get(i) }));
+      captions.push(...(await labelFrameBatch(batch)));
+    }
+
+    const per = targetSeconds / indexes.length;
+    const { lines, script } = await writeClipNarration(job, {
+      medium: "a slideshow of listing photos, shown in the order given",
+      clips: captions.map((c) => ({ seconds: Math.round(per), shows: [c.room], features: c.features })),
+      targetSeconds,
+      language,
+    });
+
+    const segments = indexes.map((image, k) => ({
+      start: k * per,
+      end: (k + 1) * per,
+      line: lines[k] || "",
+      image,
+      rooms: [captions[k].room],
+    }));
+
+    return {
+      transcript: "",
+      plan: { segments, script },
+      planAttempts: [{ attempt: 1, at: new Date().toISOString(), mode: "photos", ok: true, errors: [], warnings: [] }],
+    };
+  } finally {
+    for (const p of paths.values()) safeUnlink(p);
+  }
+}
+
+// Ken Burns moves, cycled per photo: push in, pull out, pan left→right, pan right→left
+function kenBurns(k, frames) {
+  const z = SLIDESHOW_ZOOM;
+  const p = `on/${frames}`;
+  const center = "x='iw/2-(iw/zoom/2)':y='ih/2-(ih/zoom/2)'";
+  switch (k % 4) {
+    case 0:
+      return `z='1+${z}*${p}':${center}`;
+    case 1:
+      return `z='1+${z}-${z}*${p}':${center}`;
+    case 2:
+      return `z='1+${z}':x='(iw-iw/zoom)*${p}':y='ih/2-(ih/zoom/2)'`;
+    default:
+      return `z='1+${z}':x='(iw-iw/zoom)*(1-${p})':y='ih/2-(ih/zoom/2)'`;
+  }
+}
+
+/*
+  One looped input per photo, cover-cropped to the canvas (with headroom for the zoom),
+  moved with zoompan and joined like the montage (xfade or cut), exactly targetSeconds long.
+*/
+async function buildSlideshowVideo(photoPaths, outPath, durations, canvas, targetSeconds, transition = MONTAGE_TRANSITION) {
+  const W = canvas.width;
+  const H = canvas.height;
+  const xfade = photoPaths.length > 1 ? XFADE_TRANSITIONS[transition] : null;
+  const fadeSeconds = xfade ? Math.min(TRANSITION_SECONDS, Math.min(...durations) / 2) : 0;
+
+  // Photos never run out, so every one but the last simply shows for the transition as well
+  const lengths = durations.map((d, i) => (i < durations.length - 1 ? d + fadeSeconds : d));
+
+  const inputs = [];
+  const parts = [];
+  lengths.forEach((len, i) => {
+    inputs.push("-loop", "1", "-framerate", String(MONTAGE_FPS), "-t", len.toFixed(3), "-i", photoPaths[i]);
+
+    const frames = Math.max(1, Math.round(len * MONTAGE_FPS));
+    const bigW = Math.round((W * 1.25) / 2) * 2;
+    const bigH = Math.round((H * 1.25) / 2) * 2;
+    parts.push(
+      `[${i}:v]scale=${bigW}:${bigH}:force_original_aspect_ratio=increase,crop=${bigW}:${bigH},setsar=1,` +
+        `zoompan=${kenBurns(i, frames)}:d=1:s=${W}x${H}:fps=${MONTAGE_FPS},format=yuv420p,settb=AVTB[v${i}]`
+    );
+  });
+
+  joinClips(parts, lengths, xfade, fadeSeconds, targetSeconds);
+
+  await runFFmpeg([
+    "-y",
+    ...inputs,
+    "-filter_complex",
+    parts.join(";"),
+    "-map",
+    "[vout]",
+    "-c:v",
+    "libx264",
+    "-preset",
+    "veryfast",
+    "-crf",
+    "23",
+    "-pix_fmt",
+    "yuv420p",
+    "-movflags",
+    "+faststart",
+    outPath,
+  ]);
+}
+
+/* ==============================
+   NARRATION RE-TIMING
+============================== */
+async function whisperWords(audioPath, languageHint) {
+  const res = await openai.audio.transcriptions.create({
+    model: "whisper-1",
+    file: fs.createReadStream(audioPath),
+    response_format: "verbose_json",
+    ...(languageHint ? { language: languageHint } : {}),
+    timestamp_granularities: ["word"],
+  });
+
+  return (Array.isArray(res?.words) ? res.words : [])
+    .map((w) => ({
+      text: String(w.word || "").trim(), // as spoken, for captions
+      word: normalizeWord(w.word), // for alignment
+      start: Number(w.start || 0),
+      end: Number(w.end || 0),
+    }))
+    .filter((w) => w.word);
+}
+
+function normalizeWord(w) {
+  return String(w || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, "");
+}
+
+function tokenizeLine(line) {
+  return String(line || "").split(/[\s\u2014\u2013-]+/).map(normalizeWord).filter(Boolean);
+}
+
+/*
+  Edit-distance alignment of the plan's line tokens against the spoken words
+  (HeyGen reads the script, which may word a line slightly differently than the plan).
+  Returns, per line, { start, end } of its matched spoken words, or null when nothing matched.
+*/
+function alignLinesToWords(lines, words) {
+  const tokens = [];
+  lines.forEach((line, li) => tokenizeLine(line).forEach((word) => tokens.push({ word, li })));
+
+  const n = tokens.length;
+  const m = words.length;
+  if (!n || !m) return lines.map(() => null);
+
+  // cost[i][j] flattened; step: 0 = match/substitute, 1 = skip token, 2 = skip spoken word
+  const cost = new Uint32Array((n + 1) * (m + 1));
+  const step = new Uint8Array((n + 1) * (m + 1));
+  const at = (i, j) => i * (m + 1) + j;
+
+  for (let i = 1; i <= n; i++) (cost[at(i, 0)] = i), (step[at(i, 0)] = 1);
+  for (let j = 1; j <= m; j++) (cost[at(0, j)] = j), (step[at(0, j)] = 2);
+
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      const diag = cost[at(i - 1, j - 1)] + (tokens[i - 1].word === words[j - 1].word ? 0 : 1);
+      const up = cost[at(i - 1, j)] + 1;
+      const left = cost[at(i, j - 1)] + 1;
+
+      if (diag <= up && diag <= left) (cost[at(i, j)] = diag), (step[at(i, j)] = 0);
+      else if (up <= left) (cost[at(i, j)] = up), (step[at(i, j)] = 1);
+      else (cost[at(i, j)] = left), (step[at(i, j)] = 2);
+    }
+  }
+
+  // Backtrack; only exact matches anchor a line (substitutions are too loose to time on)
+  const spans = lines.map(() => null);
+  let i = n;
+  let j = m;
+  while (i > 0 && j > 0) {
+    const s = step[at(i, j)];
+    if (s === 0) {
+      const t = tokens[i - 1];
+      const w = words[j - 1];
+      if (t.word === w.word) {
+        const span = spans[t.li];
+        spans[t.li] = span ? { start: Math.min(span.start, w.start), end: Math.max(span.end, w.end) } : { start: w.start, end: w.end };
+      }
+      i--;
+      j--;
+    } else if (s === 1) i--;
+    else j--;
+  }
+
+  return spans;
+}
+
+/*
+  Segment i now lasts from where line i starts being spoken to where line i+1 starts
+  (the first segment from 0, the last to the end of the avatar). Lines that couldn't be
+  aligned get a boundary interpolated between their neighbours by word count.
+  The footage keeps its start; it is extended (or slid back when the walkthrough runs out) or trimmed.
+*/
+function retimeSegments(segments, spans, avatarDuration, walkDuration) {
+  const n = segments.length;
+  const weights = segments.map((seg) => Math.max(1, tokenizeLine(seg.line).length));
+
+  // start time of each line in the narration
+  const starts = spans.map((s) => (s ? s.start : null));
+  starts[0] = 0;
+  for (let i = 1; i < n; i++) {
+    if (starts[i] != null && starts[i] > starts[i - 1]) continue;
+
+    let k = i + 1;
+    while (k < n && (starts[k] == null || starts[k] <= starts[i - 1])) k++;
+    const nextStart = k < n ? starts[k] : avatarDuration;
+    const words = weights.slice(i - 1, k).reduce((a, b) => a + b, 0);
+    starts[i] = starts[i - 1] + ((nextStart - starts[i - 1]) * weights[i - 1]) / words;
+  }
+
+  return segments.map((seg, i) => {
+    const want = Math.max(MIN_RETIMED_SEGMENT_SECONDS, (i < n - 1 ? starts[i + 1] : avatarDuration) - starts[i]);
+    let start = Math.max(0, Number(seg.start || 0));
+    if (walkDuration && start + want > walkDuration) start = Math.max(0, walkDuration - want);
+    const end = walkDuration ? Math.min(walkDuration, start + want) : start + want;
+    return { ...seg, start, end };
+  });
+}
+
+// Word timings of the HeyGen narration (re-timing + captions). Best effort: [] on failure.
+async function transcribeNarration(avatarPath, jobId, languageHint) {
+  const audioPath = path.join("/tmp", `narration-${jobId}.m4a`);
+  try {
+    console.log("🧠 Whisper word timings for the narration …");
+    await extractAudioToM4a(avatarPath, audioPath);
+    return await whisperWords(audioPath, languageHint);
+  } catch (e) {
+    console.log("⚠️ Narration transcription failed; no re-timing / captions:", e?.message || e);
+    return [];
+  } finally {
+    safeUnlink(audioPath);
+  }
+}
+
+// Without aligned words the plan's own timings are used
+function retimeToNarration(segments, words, avatarDuration, walkDuration) {
+  if (!NARRATION_RETIME || segments.length < 2 || !segments.some((s) => String(s.line || "").trim())) return segments;
+  if (!words.length) return segments;
+
+  const spans = alignLinesToWords(segments.map((s) => s.line), words);
+  const matched = spans.filter(Boolean).length;
+  if (!matched) {
+    console.log("⚠️ No plan line matched the narration; keeping plan timings.");
+    return segments;
+  }
+
+  const retimed = retimeSegments(segments, spans, avatarDuration, walkDuration);
+  console.log(`✅ Re-timed ${segments.length} segments (${matched} lines aligned):`, retimed.map((s) => (s.end - s.start).toFixed(1)).join(", "));
+  return retimed;
+}
+
+/* ==============================
+   CAPTIONS
+   - cues of up to CAPTION_MAX_WORDS / CAPTION_MAX_CHARS, split on pauses
+   - burned in as ASS through the layout's "captions" layer, current word highlighted
+   - SRT + VTT sidecars uploaded next to final-<jobId>.mp4 (shifted by the intro card)
+============================== */
+function buildCaptionCues(words) {
+  const cues = [];
+  let cur = null;
+
+  for (const w of words) {
+    if (!w.text) continue;
+    const text = cur ? [...cur.words.map((x) => x.text), w.text].join(" ") : w.text;
+    const pause = cur ? w.start - cur.end : 0;
+
+    if (!cur || cur.words.length >= CAPTION_MAX_WORDS || text.length > CAPTION_MAX_CHARS || pause > CAPTION_GAP_SECONDS) {
+      cur = { start: w.start, end: w.end, words: [w] };
+      cues.push(cur);
+    } else {
+      cur.words.push(w);
+      cur.end = w.end;
+    }
+  }
+
+  return cues.map((c) => ({ ...c, text: c.words.map((w) => w.text).join(" ") }));
+}
+
+function captionTime(seconds, sep) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const pad = (n, l = 2) => String(n).padStart(l, "0");
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${sep}${pad(ms % 1000, 3)}`;
+}
+
+function toSrt(cues, offset = 0) {
+  return cues
+    .map((c, i) => `${i + 1}\n${captionTime(c.start + offset, ",")} --> ${captionTime(c.end + offset, ",")}\n${c.text}\n`)
+    .join("\n");
+}
+
+function toVtt(cues, offset = 0) {
+  return (
+    "WEBVTT\n\n" +
+    cues.map((c) => `${captionTime(c.start + offset, ".")} --> ${captionTime(c.end + offset, ".")}\n${c.text}\n`).join("\n")
+  );
+}
+
+// "0x1a2b3c" / "#1a2b3c" / a few names -> ASS &H00BBGGRR
+function assColor(c, fallback = "&H00FFFFFF") {
+  const named = { white: "ffffff", black: "000000", yellow: "ffff00", red: "ff0000", green: "00ff00", blue: "0000ff" };
+  const v = String(c || "").trim().toLowerCase();
+  const hex = named[v] || v.match(/^(?:0x|#)?([0-9a-f]{6})$/)?.[1];
+  if (!hex) return fallback;
+  return `&H00${hex.slice(4, 6)}${hex.slice(2, 4)}${hex.slice(0, 2)}`.toUpperCase();
+}
+
+// libass picks fonts by family name: read it from the font's `name` table (nameID 1)
+function fontFamilyName(fontFile) {
+  try {
+    const buf = fs.readFileSync(fontFile);
+    const numTables = buf.readUInt16BE(4);
+    for (let t = 0; t < numTables; t++) {
+      const rec = 12 + t * 16;
+      if (buf.toString("latin1", rec, rec + 4) !== "name") continue;
+
+      const table = buf.readUInt32BE(rec + 8);
+      const count = buf.readUInt16BE(table + 2);
+      const strings = table + buf.readUInt16BE(table + 4);
+      for (let i = 0; i < count; i++) {
+        const r = table + 6 + i * 12;
+        const platform = buf.readUInt16BE(r);
+        if (buf.readUInt16BE(r + 6) !== 1) continue;
+
+        const raw = buf.subarray(strings + buf.readUInt16BE(r + 10), strings + buf.readUInt16BE(r + 10) + buf.readUInt16BE(r + 8));
+        const name = platform === 1 ? raw.toString("latin1") : Buffer.from(raw).swap16().toString("utf16le");
+        if (name.trim()) return name.trim();
+      }
+    }
+  } catch (e) {
+    console.log("⚠️ Could not read font family name:", e?.message || e);
+  }
+  return "DejaVu Sans";
+}
+
+function assText(s) {
+  return String(s || "").replace(/[{}]/g, "").replace(/\\/g, "\\\\").replace(/\n/g, " ");
+}
+
+/*
+  One Dialogue per spoken word: the whole cue, with that word in the highlight colour,
+  from the word's start until the next word starts (the last one until the cue ends).
+  Position (alignment / margins) comes from the layout's captions layer via force_style.
+*/
+function toAss(cues, { canvas, brand, family }) {
+  const time = (s) => captionTime(s, ".").slice(1, -1); // ASS: H:MM:SS.cc
+  const primary = assColor(brand.captionColor);
+  const highlight = assColor(brand.captionHighlight, "&H0000FFFF");
+
+  const events = [];
+  for (const cue of cues) {
+    cue.words.forEach((w, k) => {
+      const end = k < cue.words.length - 1 ? cue.words[k + 1].start : cue.end;
+      const text = cue.words
+        .map((x, j) => (j === k ? `{\\c${highlight}&}${assText(x.text)}{\\c${primary}&}` : assText(x.text)))
+        .join(" ");
+      events.push(`Dialogue: 0,${time(w.start)},${time(Math.max(end, w.start + 0.05))},Caption,,0,0,0,,${text}`);
+    });
+  }
+
+  return [
+    "[Script Info]",
+    "ScriptType: v4.00+",
+    `PlayResX: ${canvas.width}`,
+    `PlayResY: ${canvas.height}`,
+    "WrapStyle: 0",
+    "",
+    "[V4+ Styles]",
+    "Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding",
+    `Style: Caption,${family},${CAPTION_FONT_SIZE},${primary},${primary},&H00000000,&H80000000,1,0,0,0,100,100,0,0,1,4,1,2,80,80,200,1`,
+    "",
+    "[Events]",
+    "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text",
+    ...events,
+    "",
+  ].join("\n");
+}
+
+/* ==============================
+   HEYGEN
+============================== */
+async function createHeygenVideo({ scriptText, jobId, avatarId, voiceId }) {
+  // No secret in the URL: the API verifies HeyGen's signature header instead
+  const callbackUrl = `${HEYGEN_CALLBACK_BASE_URL}?job_id=${encodeURIComponent(jobId)}`;
+
+  console.log("🎬 Creating HeyGen video for job:", jobId);
+  console.log("Callback URL:", callbackUrl);
+
+  const payload = {
+    video_inputs: [
+      {
+        character: { type: "avatar", avatar_id: avatarId },
+        voice: { type: "text", voice_id: voiceId, input_text: scriptText.trim() },
+        background: { type: "color", value: KEY_COLOR_HEX },
+      },
+    ],
+    // Always portrait: the keyed avatar is shared by every rendition and scaled by its layout
+    dimension: { width: 1080, height: 1920 },
+    callback_url: callbackUrl,
+  };
+
+  const resp = await fetchWithTimeout("https://api.heygen.com/v2/video/generate", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Api-Key": HEYGEN_API_KEY,
+    },
+    body: JSON.stringify(payload),
+  });
+
+  const text = await resp.text().catch(() => "");
+  let json = null;
+  try {
+    json = text ? JSON.parse(text) : null;
   } catch {}
 
-  if (!resp.ok) {
-    console.error("HeyGen error:", resp.status, text);
-    throw new Error(`HeyGen generate failed (${resp.status})`);
-  }
+  if (!resp.ok) {
+    console.error("HeyGen error:", resp.status, text);
+    throw httpError(`HeyGen generate failed (${resp.status})`, resp.status);
+  }
+
+  const videoId = json?.data?.video_id;
+  if (!videoId) {
+    console.error("HeyGen response:", json);
+    throw new Error("HeyGen did not return video_id");
+  }
+
+  console.log("✅ HEYGEN VIDEO ID:", videoId);
+  return videoId;
+}
+
+// Same retry shape as fetchHeyGenVideoUrl in server.js, but returns the whole status
+async function fetchHeygenVideoStatus(videoId) {
+  const maxAttempts = 3;
+  const delayMs = 2500;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      const resp = await fetchWithTimeout(
+        `https://api.heygen.com/v1/video_status.get?video_id=${encodeURIComponent(videoId)}`,
+        { headers: { "X-Api-Key": HEYGEN_API_KEY } },
+        30000
+      );
+
+      const json = await resp.json().catch(() => null);
+      if (!resp.ok) throw httpError(`HeyGen status failed (${resp.status})`, resp.status);
+
+      const data = json?.data || {};
+      const url = data.video_url || data.url || null;
+      const err = data.error;
+
+      return {
+        status: String(data.status || "unknown").toLowerCase(), // pending | waiting | processing | completed | failed
+        videoUrl: url && String(url).startsWith("http") ? url : null,
+        error: err ? String(err.message || err.detail || err.code || JSON.stringify(err)) : null,
+      };
+    } catch (err) {
+      if (attempt === maxAttempts || !isRetryableError(err)) throw err;
+      console.log(`HeyGen status ${videoId} attempt ${attempt} failed:`, err?.message || err);
+      await sleep(delayMs);
+    }
+  }
+}
+
+/* ==============================
+   DB HELPERS
+============================== */
+// claimedStatus = the in-flight phase this worker holds the job in (see LEASED_PHASES); only that
+// claim is updated, so a worker whose lease expired can't clobber a job another worker has taken.
+// Transient errors put the job back to the phase it was claimed from.
+async function failJob(job, err, claimedStatus) {
+  const jobId = job.id;
+  const retryStatus = LEASED_PHASES[claimedStatus];
+  const msg = String(err?.message || err || "Unknown error");
+  const attempts = Number(job.attempts || 0) + 1;
+  const retryable = Boolean(retryStatus) && isRetryableError(err);
+
+  if (retryable && attempts < MAX_ATTEMPTS) {
+    const delayMs = backoffMs(attempts);
+    console.warn(
+      `🔁 Retryable error on job ${jobId} (attempt ${attempts}/${MAX_ATTEMPTS}), retry in ${Math.round(delayMs / 1000)}s:`,
+      msg
+    );
+
+    const { error: retryErr } = await supabase
+      .from("render_jobs")
+      .update({
+        status: retryStatus,
+        attempts,
+        next_attempt_at: new Date(Date.now() + delayMs).toISOString(),
+        error: msg.slice(0, 2000),
+        lease_expires_at: null,
+        locked_by: null,
+      })
+      .eq("id", jobId)
+      .eq("status", claimedStatus)
+      .eq("locked_by", WORKER_ID);
+    if (retryErr) throw retryErr;
+    return;
+  }
+
+  // Retryable but out of attempts = dead letter
+  const reason = retryable ? `Gave up after ${attempts} attempts: ${msg}` : msg;
+  console.error("❌ Job failed:", jobId, reason);
+
+  const { data: failed, error: failErr } = await supabase
+    .from("render_jobs")
+    .update({
+      status: "failed",
+      error: reason.slice(0, 2000),
+      attempts,
+      next_attempt_at: null,
+      dead_lettered_at: retryable ? new Date().toISOString() : null,
+      lease_expires_at: null,
+      locked_by: null,
+    })
+    .eq("id", jobId)
+    .eq("status", claimedStatus)
+    .eq("locked_by", WORKER_ID)
+    .select("id")
+    .maybeSingle();
+
+  if (failErr) throw failErr;
+  if (!failed) {
+    console.log("⚠️ Lost lease on job before recording failure:", jobId);
+    return;
+  }
+
+  await emitJobEvent(job, "failed", { error: reason.slice(0, 500) });
+}
+
+/* ==============================
+   STATUS EVENTS (outbox)
+   - emitJobEvent only writes a webhook_deliveries row (enqueue_job_event); deliverPendingWebhooks sends it
+   - delivery runs on its own timer, so slow customer endpoints never hold up job claiming
+============================== */
+async function emitJobEvent(job, status, data = {}) {
+  if (!job?.callback_url) return;
+
+  // Payload shape lives in the enqueue_job_event SQL function (shared with the API)
+  const { error } = await supabase.rpc("enqueue_job_event", { p_job_id: job.id, p_status: status, p_data: data });
+
+  // Never let a notification break the pipeline
+  if (error) console.error("⚠️ Could not queue status event:", job.id, status, error.message);
+}
+
+// Header format: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+function signCallbackBody(body, timestamp) {
+  const sig = crypto
+    .createHmac("sha256", CALLBACK_SIGNING_SECRET)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${sig}`;
+}
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges
+function isPublicAddress(ip) {
+  if (net.isIPv4(ip)) {
+    const [a, b] = ip.split(".").map(Number);
+    return !(
+      a === 0 ||
+      a === 10 ||
+      a === 127 ||
+      a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 198 && (b === 18 || b === 19))
+    );
+  }
+
+  const v6 = ip.toLowerCase();
+  const mapped = v6.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPublicAddress(mapped[1]);
+  return !(v6 === "::" || v6 === "::1" || /^f[cd]/.test(v6) || /^fe[89ab]/.test(v6) || v6.startsWith("ff"));
+}
+
+// Resolves like dns.lookup but refuses non-public addresses. It is the callback agent's connect lookup,
+// so the address that was checked is the one connected to (no second resolution to rebind).
+function publicOnlyLookup(hostname, options, cb) {
+  dnsLookup(hostname, options, (err, address, family) => {
+    if (err) return cb(err);
+    const blocked = (Array.isArray(address) ? address : [{ address }]).find((a) => !isPublicAddress(a.address));
+    if (blocked) {
+      const refused = new Error(`callback host ${hostname} resolves to non-public address ${blocked.address}`);
+      refused.code = "ECALLBACKBLOCKED";
+      return cb(refused);
+    }
+    cb(null, address, family);
+  });
+}
+
+const callbackAgent = new Agent({ connect: { lookup: publicOnlyLookup } });
+
+// Returns why callbackUrl must not be called, or null. IP literals are checked here (no lookup runs
+// for them); host names are checked by publicOnlyLookup when the connection is made.
+function callbackTargetError(callbackUrl) {
+  let u;
+  try {
+    u = new URL(callbackUrl);
+  } catch {
+    return "invalid callback URL";
+  }
+  if (u.protocol !== "https:") return "callback URL must be https";
+
+  const host = u.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && !isPublicAddress(host)) return `callback host ${u.hostname} is a non-public address`;
+  return null;
+}
+
+async function deliverWebhook(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempts = Number(delivery.attempts || 0) + 1;
+  let statusCode = null;
+  let errMsg = null;
+
+  let blocked = callbackTargetError(delivery.callback_url);
+
+  if (!blocked) {
+    try {
+      const resp = await undiciFetch(delivery.callback_url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-ReelEstate-Event": delivery.event,
+          "X-ReelEstate-Delivery": delivery.id,
+          "X-ReelEstate-Signature": signCallbackBody(body, timestamp),
+        },
+        body,
+        redirect: "manual", // a redirect could point anywhere, including internal hosts
+        dispatcher: callbackAgent,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+      });
+      statusCode = resp.status;
+      if (!resp.ok) errMsg = `HTTP ${resp.status}`;
+    } catch (err) {
+      if (err?.cause?.code === "ECALLBACKBLOCKED") blocked = err.cause.message;
+      else errMsg = String(err?.message || err);
+    }
+  }
+
+  // Internal targets never become valid: fail the delivery instead of retrying it
+  if (blocked) {
+    await supabase
+      .from("webhook_deliveries")
+      .update({ status: "failed", next_attempt_at: null, attempts, last_status_code: null, last_error: blocked })
+      .eq("id", delivery.id);
+    console.log(`⛔ Status webhook ${delivery.event} for ${delivery.job_id} blocked:`, blocked);
+    return;
+  }
+
+  let update;
+  if (!errMsg) {
+    update = { status: "delivered", delivered_at: new Date().toISOString(), next_attempt_at: null };
+  } else if (attempts >= DELIVERY_MAX_ATTEMPTS) {
+    update = { status: "failed", next_attempt_at: null };
+  } else {
+    const delayMs = backoffMs(attempts, DELIVERY_BASE_MS);
+    update = { next_attempt_at: new Date(Date.now() + delayMs).toISOString() };
+  }
+
+  await supabase
+    .from("webhook_deliveries")
+    .update({ ...update, attempts, last_status_code: statusCode, last_error: errMsg })
+    .eq("id", delivery.id);
+
+  if (errMsg) console.log(`⚠️ Status webhook ${delivery.event} for ${delivery.job_id} failed (${attempts}):`, errMsg);
+}
+
+async function deliverPendingWebhooks() {
+  const now = new Date().toISOString();
+
+  const { data: due, error } = await supabase
+    .from("webhook_deliveries")
+    .select("*")
+    .eq("status", "pending")
+    .lte("next_attempt_at", now)
+    .order("created_at", { ascending: true })
+    .limit(20);
+
+  if (error) throw error;
+  if (!due?.length) return;
+
+  if (!CALLBACK_SIGNING_SECRET) {
+    console.error(`❌ Missing environment variable: CALLBACK_SIGNING_SECRET (${due.length}+ status webhooks waiting)`);
+    return;
+  }
+
+  for (const delivery of due) {
+    // Claim by pushing next_attempt_at forward; another replica sees it as not due
+    const { data: claimed, error: claimErr } = await supabase
+      .from("webhook_deliveries")
+      .update({ next_attempt_at: new Date(Date.now() + DELIVERY_TIMEOUT_MS * 2).toISOString() })
+      .eq("id", delivery.id)
+      .eq("status", "pending")
+      .eq("attempts", delivery.attempts)
+      .lte("next_attempt_at", now)
+      .select("id")
+      .maybeSingle();
+
+    if (claimErr || !claimed) continue;
+    await deliverWebhook(delivery);
+  }
+}
+
+/* ==============================
+   LEASES
+============================== */
+// In-flight status -> phase the job goes back to when its lease expires
+const LEASED_PHASES = {
+  processing: "queued",
+  submitting: "approved",
+  rendering_in_progress: "rendering",
+};
+
+function leaseUntil(ms = LEASE_MS) {
+  return new Date(Date.now() + ms).toISOString();
+}
+
+// PostgREST .or() filter for "lease ran out": rows left in flight before leases existed have none at all
+function leaseExpiredFilter(now) {
+  return `lease_expires_at.is.null,lease_expires_at.lt.${now}`;
+}
+
+// Keeps lease_expires_at moving while this worker owns the job. Returns a stop function.
+function startHeartbeat(jobId, status) {
+  const timer = setInterval(() => {
+    supabase
+      .from("render_jobs")
+      .update({ lease_expires_at: leaseUntil() })
+      .eq("id", jobId)
+      .eq("status", status)
+      .eq("locked_by", WORKER_ID)
+      .then(({ error }) => {
+        if (error) console.error("⚠️ Heartbeat failed:", jobId, error.message);
+      })
+      .catch((err) => console.error("⚠️ Heartbeat failed:", jobId, err?.message || err));
+  }, HEARTBEAT_MS);
+
+  return () => clearInterval(timer);
+}
+
+async function reapExpiredLeases() {
+  const now = new Date().toISOString();
+
+  const { data: expired, error } = await supabase
+    .from("render_jobs")
+    .select("id, status, locked_by, attempts, callback_url")
+    .in("status", Object.keys(LEASED_PHASES))
+    .or(leaseExpiredFilter(now))
+    .limit(50);
+
+  if (error) throw error;
+
+  for (const job of expired || []) {
+    // A dead worker counts as a failed attempt, same budget/backoff as retryable errors
+    const attempts = Number(job.attempts || 0) + 1;
+    const reason = `Worker lease expired in ${job.status} (last owner ${job.locked_by || "unknown"})`;
+    const update =
+      attempts >= MAX_ATTEMPTS
+        ? {
+            status: "failed",
+            error: `Gave up after ${attempts} attempts: ${reason}`,
+            attempts,
+            next_attempt_at: null,
+            dead_lettered_at: now,
+            lease_expires_at: null,
+            locked_by: null,
+          }
+        : {
+            status: LEASED_PHASES[job.status],
+            error: reason,
+            attempts,
+            next_attempt_at: new Date(Date.now() + backoffMs(attempts)).toISOString(),
+            lease_expires_at: null,
+            locked_by: null,
+          };
+
+    // Conditional on status + expiry so two reapers (or a late heartbeat) can't both win
+    const { data: reaped, error: reapErr } = await supabase
+      .from("render_jobs")
+      .update(update)
+      .eq("id", job.id)
+      .eq("status", job.status)
+      .or(leaseExpiredFilter(now))
+      .select("id")
+      .maybeSingle();
+
+    if (reapErr) {
+      console.error("⚠️ Reaper update failed:", job.id, reapErr.message);
+      continue;
+    }
+    if (!reaped) continue;
+
+    console.log(`🧹 Reaped ${job.status} job ${job.id} -> ${update.status}`, update.error || "");
+    if (update.status === "failed") await emitJobEvent(job, "failed", { error: update.error });
+  }
+}
+
+/* ==============================
+   HEYGEN POLLING — heygen_requested -> rendering | failed
+   - only touches jobs whose webhook grace period (lease) has run out, or that never had one
+============================== */
+async function pollOverdueHeygenJobs() {
+  const now = new Date().toISOString();
+
+  const { data: overdue, error } = await supabase
+    .from("render_jobs")
+    .select("id, heygen_video_id, heygen_requested_at, created_at, callback_url")
+    .eq("status", "heygen_requested")
+    .or(leaseExpiredFilter(now))
+    .limit(20);
+
+  if (error) throw error;
+
+  for (const job of overdue || []) {
+    const requestedAt = Date.parse(job.heygen_requested_at || job.created_at) || Date.now();
+    const waitedMs = Date.now() - requestedAt;
+    let update;
+
+    try {
+      if (!job.heygen_video_id) throw fatalError("No heygen_video_id stored");
+
+      const st = await fetchHeygenVideoStatus(job.heygen_video_id);
+      console.log("🔎 HeyGen status (webhook overdue):", job.id, st.status);
+
+      if (st.status === "completed" && st.videoUrl) {
+        update = { status: "rendering", heygen_video_url: st.videoUrl, lease_expires_at: null };
+      } else if (st.status === "failed") {
+        update = {
+          status: "failed",
+          error: `HeyGen generation failed: ${st.error || "unknown error"}`.slice(0, 2000),
+          lease_expires_at: null,
+        };
+      } else if (waitedMs > HEYGEN_WEBHOOK_TIMEOUT_MS) {
+        update = {
+          status: "failed",
+          error: `HeyGen video not ready after ${Math.round(waitedMs / 60000)}min (status ${st.status})`,
+          lease_expires_at: null,
+        };
+      }
+    } catch (err) {
+      if (isRetryableError(err) && waitedMs <= HEYGEN_WEBHOOK_TIMEOUT_MS) {
+        console.error("⚠️ HeyGen status poll failed:", job.id, err?.message || err);
+      } else {
+        update = {
+          status: "failed",
+          error: `HeyGen status poll failed: ${String(err?.message || err)}`.slice(0, 2000),
+          lease_expires_at: null,
+        };
+      }
+    }
+
+    // Still pending: check again later
+    if (!update) update = { lease_expires_at: leaseUntil(HEYGEN_POLL_INTERVAL_MS) };
+
+    // The webhook may have landed while we were polling
+    const { data: moved, error: updErr } = await supabase
+      .from("render_jobs")
+      .update(update)
+      .eq("id", job.id)
+      .eq("status", "heygen_requested")
+      .select("id")
+      .maybeSingle();
+
+    if (updErr) {
+      console.error("⚠️ HeyGen poll update failed:", job.id, updErr.message);
+      continue;
+    }
+    if (moved && update.status) {
+      console.log(`✅ HeyGen poll moved job ${job.id} -> ${update.status}`);
+      if (update.status === "failed") await emitJobEvent(job, "failed", { error: update.error });
+    }
+  }
+}
+
+/* ==============================
+   PHASE 1 — queued -> heygen_requested
+============================== */
+async function processQueued(job) {
+  const jobId = job.id;
+
+  const { data: locked, error: lockErr } = await supabase
+    .from("render_jobs")
+    .update({ status: "processing", lease_expires_at: leaseUntil(), locked_by: WORKER_ID })
+    .eq("id", jobId)
+    .eq("status", "queued")
+    .select("*")
+    .maybeSingle();
+
+  if (lockErr) throw lockErr;
+  if (!locked) return;
+
+  console.log("📦 Processing QUEUED job:", jobId);
+  await emitJobEvent(locked, "processing");
+
+  const stopHeartbeat = startHeartbeat(jobId, "processing");
+  try {
+    await runQueuedPhase(locked);
+  } finally {
+    stopHeartbeat();
+  }
+}
+
+async function runQueuedPhase(locked) {
+  const jobId = locked.id;
+
+  // Target seconds from job.max_seconds (default 120). Clamp to protect costs/UX.
+  let targetSeconds = Number(locked.max_seconds || DEFAULT_TARGET_SECONDS);
+  if (!Number.isFinite(targetSeconds) || targetSeconds <= 0) targetSeconds = DEFAULT_TARGET_SECONDS;
+  targetSeconds = clamp(targetSeconds, 20, MAX_TARGET_SECONDS);
+
+  // An earlier attempt already created the HeyGen video from the saved plan: just finish the hand-off
+  if (locked.heygen_video_id) {
+    const packed = safeJsonParse(String(locked.script_text || ""));
+    await submitToHeygen(locked, { fromStatus: "processing", scriptText: String(packed?.script || "") });
+    return;
+  }
+
+  // Resolve up front so a bad avatar/voice/layout fails before we pay for Whisper + GPT
+  const { avatarId, voiceId } = await resolveAvatarAndVoice(locked);
+  jobRenditionLayouts(locked);
+
+  // Full transcribe (chunked, <=20min) -> montage plan for targetSeconds
+  const { transcript, plan, planAttempts } =
+    locked.source_type === "photos"
+      ? await generateSlideshowPlan(locked, targetSeconds)
+      : await generateMontagePlanFromWalkthrough(locked, targetSeconds);
+
+  // Pack plan JSON into script_text
+  const packed = JSON.stringify({
+    targetSeconds,
+    script: plan.script,
+    segments: plan.segments, // [{start,end,line,rooms?,room_mismatch?}]
+  });
+
+  // Saved before anything else can fail, so the plan attempts survive a HeyGen (or later) error
+  const { data: saved, error: saveErr } = await supabase
+    .from("render_jobs")
+    .update({
+      transcript_text: transcript,
+      script_text: packed,         // montage plan stored here
+      plan_attempts: planAttempts, // every GPT plan + its validation report
+      max_seconds: targetSeconds,  // normalize saved value
+    })
+    .eq("id", jobId)
+    .eq("status", "processing")
+    .eq("locked_by", WORKER_ID)
+    .select("id")
+    .maybeSingle();
+
+  if (saveErr) throw saveErr;
+  if (!saved) {
+    console.log("⚠️ Lost lease on job before saving plan:", jobId);
+    return;
+  }
+
+  if (locked.require_approval) {
+    const { data: parked, error: parkErr } = await supabase
+      .from("render_jobs")
+      .update({
+        status: "awaiting_approval", // script_text is the plan to review/edit via the API
+        lease_expires_at: null,
+        locked_by: null,
+        attempts: 0,
+        next_attempt_at: null,
+      })
+      .eq("id", jobId)
+      .eq("status", "processing")
+      .eq("locked_by", WORKER_ID)
+      .select("id")
+      .maybeSingle();
+
+    if (parkErr) throw parkErr;
+    if (!parked) {
+      console.log("⚠️ Lost lease on job before saving plan:", jobId);
+      return;
+    }
+
+    await emitJobEvent(locked, "awaiting_approval");
+    console.log("📝 Plan waiting for approval:", jobId);
+    return;
+  }
+
+  await submitToHeygen(locked, { fromStatus: "processing", scriptText: plan.script, avatarId, voiceId });
+}
+
+async function resolveAvatarAndVoice(job) {
+  const jobId = job.id;
+  let avatarId = null;
+  let voiceId = null;
+
+  // Resolve avatar from avatars table if present, else fallback to env
+  if (job.avatar_id) {
+    const { data: avatar, error: avatarErr } = await supabase
+      .from("avatars")
+      .select("provider_avatar_id")
+      .eq("id", job.avatar_id)
+      .single();
+
+    if (avatarErr && isRetryableError(avatarErr)) throw avatarErr;
+    if (avatarErr || !avatar) throw fatalError("Avatar not found for job " + jobId);
+    avatarId = avatar.provider_avatar_id;
+  }
+
+  const language = jobLanguage(job);
+  const avatarType = String(job.avatar_type || "female").toLowerCase();
+  const isMale = avatarType === "male";
+
+  // Resolve voice: explicit voice_id, else env for ENV_VOICE_LANGUAGE, else the voices table by language + gender
+  if (job.voice_id) {
+    const { data: voice, error: voiceErr } = await supabase
+      .from("voices")
+      .select("provider_voice_id, language")
+      .eq("id", job.voice_id)
+      .single();
+
+    if (voiceErr && isRetryableError(voiceErr)) throw voiceErr;
+    if (voiceErr || !voice) throw fatalError("Voice not found for job " + jobId);
+    if (voice.language && voice.language !== language.code)
+      throw fatalError(`Voice ${job.voice_id} speaks ${voice.language}, job language is ${language.code}`);
+    voiceId = voice.provider_voice_id;
+  } else if (language.code === ENV_VOICE_LANGUAGE) {
+    voiceId = isMale ? HEYGEN_VOICE_ID_MALE : HEYGEN_VOICE_ID_FEMALE;
+  } else {
+    const { data: voices, error: voicesErr } = await supabase
+      .from("voices")
+      .select("provider_voice_id")
+      .eq("language", language.code)
+      .eq("gender", avatarType)
+      .limit(1);
+
+    if (voicesErr) throw voicesErr;
+    voiceId = voices?.[0]?.provider_voice_id || null;
+    if (!voiceId) throw fatalError(`No ${language.name} ${avatarType} voice configured (voices table)`);
+  }
+
+  if (!avatarId) {
+    console.log("⚠️ Falling back to legacy avatar_type logic");
+    avatarId = isMale ? HEYGEN_AVATAR_ID_MALE : HEYGEN_AVATAR_ID_FEMALE;
+  }
+
+  return { avatarId, voiceId };
+}
+
+// Creates the HeyGen video and moves the job fromStatus -> heygen_requested
+async function submitToHeygen(job, { fromStatus, scriptText, avatarId, voiceId }) {
+  const jobId = job.id;
+
+  let heygenVideoId = job.heygen_video_id;
+  if (heygenVideoId) {
+    console.log("♻️ Reusing HeyGen video from an earlier attempt:", heygenVideoId);
+  } else {
+    // Create HeyGen avatar video from plan.script
+    heygenVideoId = await createHeygenVideo({
+      scriptText,
+      jobId,
+      avatarId,
+      voiceId,
+    });
+
+    // Save the id before anything else can fail: a retry must reuse this video, not pay for another.
+    // If even this write fails, give up rather than risk a second HeyGen charge.
+    const { data: saved, error: saveErr } = await supabase
+      .from("render_jobs")
+      .update({ heygen_video_id: heygenVideoId, heygen_requested_at: new Date().toISOString() })
+      .eq("id", jobId)
+      .eq("status", fromStatus)
+      .eq("locked_by", WORKER_ID)
+      .select("id")
+      .maybeSingle();
+
+    if (saveErr) throw fatalError(`HeyGen video ${heygenVideoId} created but not saved: ${saveErr.message}`);
+    if (!saved) {
+      console.log("⚠️ Lost lease on job before saving HeyGen request:", jobId, heygenVideoId);
+      return;
+    }
+  }
+
+  const { data: updated, error: updErr } = await supabase
+    .from("render_jobs")
+    .update({
+      status: "heygen_requested",
+      heygen_video_id: heygenVideoId,
+      lease_expires_at: leaseUntil(HEYGEN_POLL_AFTER_MS), // poll HeyGen if no webhook by then
+      locked_by: null,
+      attempts: 0, // retry budget is per phase
+      next_attempt_at: null,
+    })
+    .eq("id", jobId)
+    .eq("status", fromStatus)
+    .eq("locked_by", WORKER_ID)
+    .select("id")
+    .maybeSingle();
+
+  if (updErr) throw updErr;
+  if (!updated) {
+    console.log("⚠️ Lost lease on job before saving HeyGen request:", jobId, heygenVideoId);
+    return;
+  }
+
+  await emitJobEvent(job, "heygen_requested", { heygen_video_id: heygenVideoId });
+
+  console.log("⏳ Waiting for webhook to set status=rendering...");
+}
+
+/* ==============================
+   PHASE 1b — approved -> heygen_requested
+   - jobs created with require_approval stop at awaiting_approval after planning
+   - the API sets approved (possibly after editing script/segments); we resume at HeyGen
+============================== */
+async function processApproved(job) {
+  const jobId = job.id;
+
+  const { data: locked, error: lockErr } = await supabase
+    .from("render_jobs")
+    .update({ status: "submitting", lease_expires_at: leaseUntil(), locked_by: WORKER_ID })
+    .eq("id", jobId)
+    .eq("status", "approved")
+    .select("*")
+    .maybeSingle();
+
+  if (lockErr) throw lockErr;
+  if (!locked) return;
+
+  console.log("✅ Submitting APPROVED job to HeyGen:", jobId);
+
+  const stopHeartbeat = startHeartbeat(jobId, "submitting");
+  try {
+    const packed = safeJsonParse(String(locked.script_text || ""));
+    const scriptText = String(packed?.script || "").trim();
+    if (!scriptText) throw fatalError("Approved plan has no script");
+
+    const { avatarId, voiceId } = await resolveAvatarAndVoice(locked);
+    jobRenditionLayouts(locked);
+
+    await submitToHeygen(locked, { fromStatus: "submitting", scriptText, avatarId, voiceId });
+  } finally {
+    stopHeartbeat();
+  }
+}
+
+/* ==============================
+   BRANDING
+   - brand profile (brands table) wins over env defaults; job.logo_url / property_headline win over both
+============================== */
+// "#1a2b3c" -> "0x1a2b3c" (ffmpeg colour syntax); anything else passes through (e.g. "black")
+function ffmpegColor(c, fallback) {
+  const v = String(c || "").trim();
+  if (!v) return fallback;
+  const hex = v.match(/^#?([0-9a-f]{6})$/i);
+  return hex ? `0x${hex[1]}` : v;
+}
+
+function numOr(v, fallback) {
+  const n = Number(v);
+  return v != null && v !== "" && Number.isFinite(n) ? n : fallback;
+}
+
+async function loadBrand(brandId) {
+  if (!brandId) return null;
+
+  const { data, error } = await supabase.from("brands").select("*").eq("id", brandId).maybeSingle();
+  if (error) throw error;
+  if (!data) console.log("⚠️ Brand not found, using defaults:", brandId);
+  return data;
+}
+
+function resolveBrand(job, brand) {
+  const b = brand || {};
+  return {
+    logoUrl: String(job.logo_url || b.logo_url || DEFAULT_LOGO_URL).trim(),
+    logoW: numOr(b.logo_w, LOGO_W),
+    barColor: ffmpegColor(b.bar_color, LT_BAR_COLOR),
+    barAlpha: clamp(numOr(b.bar_opacity, LT_BAR_ALPHA), 0, 1),
+    fontFile: b.font_file || FONT_FILE, // local path or https URL (downloaded per job)
+    textColor: ffmpegColor(b.text_color, LT_TEXT_COLOR),
+    captionColor: b.caption_color || CAPTION_COLOR,
+    captionHighlight: b.caption_highlight_color || CAPTION_HIGHLIGHT_COLOR,
+    headline: String(job.property_headline || b.lower_third_text || LT_TEXT || "Brand New Listing").trim(),
+    avatarPosition: b.avatar_position === "left" || b.avatar_position === "right" ? b.avatar_position : AVATAR_POSITION,
+    avatarScaleW: numOr(b.avatar_width, AVATAR_SCALE_W),
+    avatarMarginX: numOr(b.avatar_margin_x, AVATAR_MARGIN_X),
+    avatarGapY: numOr(b.avatar_gap_y, AVATAR_GAP_Y),
+    // Env-only layout knobs, exposed to templates as {brand.*} too
+    barY: LT_BAR_Y,
+    barH: LT_BAR_H,
+    logoMarginX: LOGO_MARGIN_X,
+    logoMarginY: LOGO_MARGIN_Y,
+  };
+}
+
+/* ==============================
+   LAYOUT TEMPLATES
+   - layouts/*.json describe the composite as ordered layers on a canvas
+   - <name>-1x1.json / <name>-16x9.json are the square / landscape variants of <name> (see RENDITIONS);
+     they use fixed coordinates since {brand.barY} / {brand.avatarScaleW} are sized for 1080x1920
+   - fit policy: the shipped layouts all use background fit "contain", so no rendition crops the
+     walkthrough (a portrait walkthrough is pillarboxed in 16:9); photo slideshows are built per
+     canvas, so they already fill it
+   - layer types: background (montage), box, text, avatar (keyed HeyGen), image (logo),
+     captions (burned-in narration captions, timed by the narration; valign + y place them, width caps the line)
+   - position: align left|center|right + x offset, valign top|center|bottom + y offset
+   - timing: optional start/end seconds (negative end = from the end)
+   - when / unless: "{slots.x}"-style token; the layer is only drawn if it resolves non-empty / empty
+   - values may use {brand.*} / {slots.*} tokens and simple "a + b - c" sums
+============================== */
+const LAYER_TYPES = ["background", "box", "text", "avatar", "image", "captions"];
+const LAYER_REQUIRED = {
+  background: [],
+  box: ["width", "height"],
+  text: ["text", "size"],
+  avatar: ["width"],
+  image: ["source", "width"],
+  captions: [],
+};
+const LAYER_NUMERIC = ["x", "y", "width", "height", "size", "opacity", "start", "end"];
+const LAYER_IMAGE_SOURCES = ["logo"];
+const TOKEN_ROOTS = ["brand", "slots"];
+
+function templateTokens(v) {
+  return typeof v === "string" ? [...v.matchAll(/\{([\w.]+)\}/g)].map((m) => m[1]) : [];
+}
+
+function isLayoutNumber(v) {
+  if (typeof v === "number") return Number.isFinite(v);
+  if (typeof v !== "string") return false;
+  return /^[\s\d.+-]*$/.test(v.replace(/\{[\w.]+\}/g, "0")) && /\d/.test(v.replace(/\{[\w.]+\}/g, "0"));
+}
+
+function validateLayoutTemplate(t) {
+  if (!t || typeof t !== "object") return ["template must be a JSON object"];
+  const errors = [];
+
+  if (!/^[a-z0-9_-]{1,40}$/.test(String(t.name || ""))) errors.push("name must match [a-z0-9_-]{1,40}");
+
+  const c = t.canvas || {};
+  for (const k of ["width", "height"]) {
+    if (!Number.isInteger(c[k]) || c[k] < 16 || c[k] > 4096 || c[k] % 2) {
+      errors.push(`canvas.${k} must be an even integer 16–4096`);
+    }
+  }
+  if (c.fps != null && !(Number(c.fps) > 0 && Number(c.fps) <= 60)) errors.push("canvas.fps must be 1–60");
+
+  if (!Array.isArray(t.layers) || !t.layers.length) {
+    errors.push("layers must be a non-empty array");
+    return errors;
+  }
+
+  t.layers.forEach((l, i) => {
+    const at = `layers[${i}]`;
+    if (!LAYER_TYPES.includes(l?.type)) {
+      errors.push(`${at}.type must be one of ${LAYER_TYPES.join(", ")}`);
+      return;
+    }
+
+    for (const k of LAYER_REQUIRED[l.type]) {
+      if (l[k] == null || l[k] === "") errors.push(`${at}.${k} is required for ${l.type}`);
+    }
+    for (const k of LAYER_NUMERIC) {
+      if (l[k] != null && !isLayoutNumber(l[k])) errors.push(`${at}.${k} must be a number or sum expression`);
+    }
+    if (l.align != null && !["left", "center", "right"].includes(l.align) && !templateTokens(l.align).length) {
+      errors.push(`${at}.align must be left, center or right`);
+    }
+    if (l.valign != null && !["top", "center", "bottom"].includes(l.valign) && !templateTokens(l.valign).length) {
+      errors.push(`${at}.valign must be top, center or bottom`);
+    }
+    if (l.type === "image" && !LAYER_IMAGE_SOURCES.includes(l.source)) {
+      errors.push(`${at}.source must be one of ${LAYER_IMAGE_SOURCES.join(", ")}`);
+    }
+    if (l.type === "background" && l.fit != null && !["contain", "cover"].includes(l.fit)) {
+      errors.push(`${at}.fit must be contain or cover`);
+    }
+    for (const k of ["when", "unless"]) {
+      if (l[k] != null && !/^\{[\w.]+\}$/.test(String(l[k]))) errors.push(`${at}.${k} must be a single {token}`);
+    }
+    if (typeof l.start === "number" && typeof l.end === "number" && l.end > 0 && l.end <= l.start) {
+      errors.push(`${at}.end must be after start`);
+    }
+
+    for (const v of Object.values(l)) {
+      for (const tok of templateTokens(v)) {
+        if (!TOKEN_ROOTS.includes(tok.split(".")[0])) errors.push(`${at} uses unknown token {${tok}}`);
+      }
+    }
+  });
+
+  if (!t.layers.some((l) => l?.type === "avatar")) errors.push("at least one avatar layer is required");
+
+  return errors;
+}
+
+function loadLayoutTemplates(dir) {
+  const templates = new Map();
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter((f) => f.endsWith(".json")).sort() : [];
+
+  for (const file of files) {
+    const t = safeJsonParse(fs.readFileSync(path.join(dir, file), "utf8"));
+    const errors = t ? validateLayoutTemplate(t) : ["invalid JSON"];
+    if (errors.length) {
+      console.error(`❌ Invalid layout template ${file}:`, errors.join("; "));
+      process.exit(1);
+    }
+    templates.set(t.name, t);
+  }
+
+  // Jobs without a layout use the default, in any rendition, so it needs all of them
+  for (const [ratio, r] of Object.entries(RENDITIONS)) {
+    const t = templates.get(DEFAULT_LAYOUT + r.suffix);
+    if (!t) {
+      console.error(`❌ Default layout "${DEFAULT_LAYOUT + r.suffix}" (${ratio}) not found in ${dir}`);
+      process.exit(1);
+    }
+    if (!matchesRatio(t.canvas, r)) {
+      console.error(`❌ Default layout "${t.name}" canvas is not ${ratio}`);
+      process.exit(1);
+    }
+  }
+
+  return templates;
+}
+
+function matchesRatio(canvas, r) {
+  return Number(canvas.width) * r.h === Number(canvas.height) * r.w;
+}
+
+const LAYOUTS = loadLayoutTemplates(LAYOUTS_DIR);
+console.log("Layouts:", [...LAYOUTS.keys()].join(", "));
+
+function jobLayoutName(job) {
+  const name = job.layout || DEFAULT_LAYOUT;
+  if (!LAYOUTS.has(name)) throw fatalError(`Unknown layout template: ${name}`);
+  return name;
+}
+
+function jobRenditions(job) {
+  const list = Array.isArray(job.renditions) && job.renditions.length ? job.renditions : DEFAULT_RENDITIONS;
+  const bad = list.find((r) => !RENDITIONS[r]);
+  if (bad) throw fatalError(`Unsupported rendition: ${bad}`);
+  return [...new Set(list)];
+}
+
+// The job's layout in the given aspect ratio (never another layout: the API rejects missing variants)
+function renditionLayout(name, ratio) {
+  const r = RENDITIONS[ratio];
+  const layout = LAYOUTS.get(name + r.suffix);
+  if (!layout) throw fatalError(`Layout "${name}" has no ${ratio} variant`);
+  if (!matchesRatio(layout.canvas, r)) throw fatalError(`Layout "${layout.name}" canvas is not ${ratio}`);
+  return layout;
+}
+
+// Every layout the job will render, checked before anything is paid for
+function jobRenditionLayouts(job) {
+  const name = jobLayoutName(job);
+  return jobRenditions(job).map((ratio) => ({ ratio, layout: renditionLayout(name, ratio) }));
+}
+
+// Writes the loaded layouts (name + the ratios it has a valid variant for) to the layouts table,
+// which the API validates new jobs against. The layouts directory stays the only source.
+async function publishLayouts() {
+  const suffixes = Object.values(RENDITIONS).map((r) => r.suffix).filter(Boolean);
+  const now = new Date().toISOString();
+  const rows = [...LAYOUTS.keys()]
+    .filter((name) => !suffixes.some((s) => name.endsWith(s)))
+    .map((name) => ({
+      name,
+      ratios: Object.entries(RENDITIONS)
+        .filter(([, r]) => LAYOUTS.has(name + r.suffix) && matchesRatio(LAYOUTS.get(name + r.suffix).canvas, r))
+        .map(([ratio]) => ratio),
+      is_default: name === DEFAULT_LAYOUT,
+      updated_at: now,
+    }));
+
+  const { error } = await supabase.from("layouts").upsert(rows, { onConflict: "name" });
+  if (error) throw error;
+
+  // Layouts whose files were removed
+  const { error: delErr } = await supabase
+    .from("layouts")
+    .delete()
+    .not("name", "in", `(${rows.map((r) => `"${r.name}"`).join(",")})`);
+  if (delErr) throw delErr;
+}
+
+function lookupPath(obj, p) {
+  return p.split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+// "{brand.barY} + 60" -> 1720; "{brand.avatarPosition}" -> "right"
+function resolveLayoutValue(v, ctx) {
+  if (typeof v !== "string") return v;
+
+  const whole = v.match(/^\{([\w.]+)\}$/);
+  if (whole) return lookupPath(ctx, whole[1]);
 
-  const videoId = json?.data?.video_id;
-  if (!videoId) {
-    console.error("HeyGen response:", json);
-    throw new Error("HeyGen did not return video_id");
+  const s = v.replace(/\{([\w.]+)\}/g, (_, p) => String(lookupPath(ctx, p) ?? ""));
+  const compact = s.replace(/\s+/g, "");
+  if (/^[+-]?\d+(\.\d+)?([+-]\d+(\.\d+)?)*$/.test(compact)) {
+    return compact.split(/(?=[+-])/).reduce((sum, n) => sum + Number(n), 0);
   }
+  return s;
+}
 
-  console.log("✅ HEYGEN VIDEO ID:", videoId);
-  return videoId;
+// Overlay/drawtext position expressions; `size` is the layer's own w/h variable
+function alignExpr(align, offset, frame, size) {
+  if (align === "right" || align === "bottom") return `${frame}-${size}-(${offset})`;
+  if (align === "center") return `(${frame}-${size})/2+(${offset})`;
+  return `${offset}`;
 }
 
-/* ==============================
-   DB HELPERS
-============================== */
-async function failJob(jobId, err) {
-  const msg = String(err?.message || err || "Unknown error");
-  console.error("❌ Job failed:", jobId, msg);
+function enableExpr(l, ctx) {
+  if (l.start == null && l.end == null) return "";
+  const start = Number(resolveLayoutValue(l.start ?? 0, ctx)) || 0;
+  let end = l.end == null ? null : Number(resolveLayoutValue(l.end, ctx));
+  if (end != null && end < 0) end = ctx.duration + end;
+  return end == null ? `:enable='gte(t,${start})'` : `:enable='between(t,${start},${end})'`;
+}
+
+/*
+  ctx = {
+    duration,                           // output length (seconds)
+    inputs: { background, avatar, logo }, // ffmpeg input indexes
+    brand,                              // resolveBrand() + fontFile
+    slots: { headline, title, details, agent }, // text slots
+    captions,                           // optional { assPath, fontsDir } for the captions layer
+  }
+  Returns a filter_complex ending in [outv].
+*/
+function layerActive(l, ctx) {
+  const filled = (v) => String(resolveLayoutValue(v, ctx) ?? "").trim() !== "";
+  if (l.when != null && !filled(l.when)) return false;
+  if (l.unless != null && filled(l.unless)) return false;
+  return true;
+}
+
+function compileLayout(template, ctx) {
+  const W = template.canvas.width;
+  const H = template.canvas.height;
+  const fps = Number(template.canvas.fps || 30);
+  const val = (v) => resolveLayoutValue(v, ctx);
+  const num = (v, fallback = 0) => {
+    const n = Number(val(v));
+    return Number.isFinite(n) ? n : fallback;
+  };
+
+  const inputFor = (l) =>
+    l.type === "background" ? ctx.inputs.background
+    : l.type === "avatar" ? ctx.inputs.avatar
+    : l.type === "image" ? ctx.inputs[l.source]
+    : null;
+
+  const chains = [];
+
+  // An input used by several layers needs a split
+  const layers = template.layers.filter((l) => layerActive(l, ctx));
+  const uses = new Map();
+  for (const l of layers) {
+    const input = inputFor(l);
+    if (input != null) uses.set(input, (uses.get(input) || 0) + 1);
+  }
+  const taps = new Map();
+  for (const [input, count] of uses) {
+    if (count === 1) {
+      taps.set(input, [`${input}:v`]);
+      continue;
+    }
+    const labels = Array.from({ length: count }, (_, k) => `in${input}_${k}`);
+    chains.push(`[${input}:v]split=${count}${labels.map((x) => `[${x}]`).join("")}`);
+    taps.set(input, labels);
+  }
+  const tap = (input) => taps.get(input).shift();
+
+  const soften =
+    EDGE_SOFTEN && Number(EDGE_SOFTEN) > 0 ? `,boxblur=${EDGE_SOFTEN}:${EDGE_SOFTEN}` : "";
+
+  chains.push(`color=c=black:s=${W}x${H}:r=${fps}:d=${ctx.duration}[c0]`);
+  let cur = "c0";
+
+  layers.forEach((l, i) => {
+    const out = `c${i + 1}`;
+    const enable = enableExpr(l, ctx);
+    const align = val(l.align) || "left";
+    const valign = val(l.valign) || "top";
+    const x = num(l.x);
+    const y = num(l.y);
+
+    const overlay = (src) =>
+      `[${cur}][${src}]overlay=x=${alignExpr(align, x, "W", "w")}:y=${alignExpr(valign, y, "H", "h")}${enable}[${out}]`;
+
+    switch (l.type) {
+      case "background": {
+        const bw = Math.round(num(l.width, W));
+        const bh = Math.round(num(l.height, H));
+        const fit =
+          l.fit === "cover"
+            ? `scale=${bw}:${bh}:force_original_aspect_ratio=increase,crop=${bw}:${bh}`
+            : `scale=${bw}:${bh}:force_original_aspect_ratio=decrease,pad=${bw}:${bh}:(ow-iw)/2:(oh-ih)/2`;
+        chains.push(`[${tap(ctx.inputs.background)}]setpts=PTS-STARTPTS,fps=${fps},${fit},format=yuv420p[l${i}]`);
+        chains.push(overlay(`l${i}`));
+        break;
+      }
+
+      case "box": {
+        const bw = Math.round(num(l.width));
+        const bh = Math.round(num(l.height));
+        const bx = align === "right" ? W - bw - x : align === "center" ? (W - bw) / 2 + x : x;
+        const by = valign === "bottom" ? H - bh - y : valign === "center" ? (H - bh) / 2 + y : y;
+        const color = ffmpegColor(val(l.color), ctx.brand.barColor);
+        const alpha = clamp(num(l.opacity, 1), 0, 1);
+        chains.push(
+          `[${cur}]drawbox=x=${Math.round(bx)}:y=${Math.round(by)}:w=${bw}:h=${bh}:color=${color}@${alpha}:t=fill${enable}[${out}]`
+        );
+        break;
+      }
+
+      case "text": {
+        const text = String(val(l.text) ?? "").trim();
+        if (!text) return; // empty slot: skip the layer
+        const font = val(l.font) || ctx.brand.fontFile;
+        const color = ffmpegColor(val(l.color), ctx.brand.textColor);
+        chains.push(
+          `[${cur}]drawtext=fontfile=${escapeFilterValue(font)}:${drawtextOption(text)}:fontcolor=${color}:fontsize=${num(l.size, 64)}:` +
+            `x=${alignExpr(align, x, "w", "text_w")}:y=${alignExpr(valign, y, "h", "text_h")}${enable}[${out}]`
+        );
+        break;
+      }
+
+      case "avatar": {
+        const opacity = clamp(num(l.opacity, AVATAR_OPACITY), 0, 1);
+        chains.push(
+          `[${tap(ctx.inputs.avatar)}]scale=${Math.round(num(l.width))}:-2,format=rgba,` +
+            `colorkey=${KEY_COLOR_FFMPEG}:${KEY_SIMILARITY}:${KEY_BLEND}${soften},` +
+            `colorchannelmixer=aa=${opacity}[l${i}]`
+        );
+        chains.push(overlay(`l${i}`));
+        break;
+      }
+
+      case "captions": {
+        if (!ctx.captions) return; // no words / captions off: skip the layer
+        // ASS alignment: 2 = bottom centre, 5 = middle, 8 = top centre; MarginV from the edge
+        const alignment = valign === "top" ? 8 : valign === "center" ? 5 : 2;
+        const marginX = l.width == null ? 80 : Math.max(0, Math.round((W - num(l.width)) / 2));
+        const style = `Alignment=${alignment},MarginV=${Math.round(y)},MarginL=${marginX},MarginR=${marginX}`;
+        chains.push(
+          `[${cur}]subtitles=filename=${escapeFilterValue(ctx.captions.assPath)}:` +
+            `fontsdir=${escapeFilterValue(ctx.captions.fontsDir)}:force_style='${style}'[${out}]`
+        );
+        break;
+      }
+
+      case "image": {
+        const opacity = l.opacity == null ? "" : `,colorchannelmixer=aa=${clamp(num(l.opacity, 1), 0, 1)}`;
+        chains.push(`[${tap(inputFor(l))}]scale=${Math.round(num(l.width))}:-1,format=rgba${opacity}[l${i}]`);
+        chains.push(overlay(`l${i}`));
+        break;
+      }
+    }
+
+    cur = out;
+  });
 
-  await supabase.from("render_jobs").update({ status: "failed", error: msg.slice(0, 2000) }).eq("id", jobId);
+  chains.push(`[${cur}]format=yuv420p[outv]`);
+  return chains.join(";");
 }
 
 /* ==============================
-   PHASE 1 — queued -> heygen_requested
+   INTRO / OUTRO CARDS
+   - rendered at the layout's canvas size with a silent track, then concatenated
+     around the composite (which is re-encoded once more in the process)
+   - intro: hero frame from the first montage segment (first photo for photo jobs), dimmed, address + price line, logo
+   - outro: brand colour, agent photo / name / phone / email, QR code to listing_url, logo
 ============================== */
-async function processQueued(job) {
-  const jobId = job.id;
+// Rough fit: DejaVu-ish glyphs are ~0.55em wide
+function fitFontSize(text, maxSize, width) {
+  const len = Math.max(1, String(text || "").length);
+  return Math.max(24, Math.min(maxSize, Math.floor((width * 0.9) / (len * 0.55))));
+}
 
-  const { data: locked, error: lockErr } = await supabase
-    .from("render_jobs")
-    .update({ status: "processing" })
-    .eq("id", jobId)
-    .eq("status", "queued")
-    .select("*")
-    .maybeSingle();
+function cardText(text, { font, color, size, y, width }) {
+  const fontsize = fitFontSize(text, size, width);
+  return `drawtext=fontfile=${escapeFilterValue(font)}:${drawtextOption(text)}:fontcolor=${color}:fontsize=${fontsize}:x=(w-text_w)/2:y=${Math.round(y)}`;
+}
 
-  if (lockErr) throw lockErr;
-  if (!locked) return;
+const SILENT_TRACK = ["-f", "lavfi", "-i", "anullsrc=r=48000:cl=stereo"];
+const CARD_OUTPUT = ["-c:v", "libx264", "-preset", "veryfast", "-crf", "23", "-pix_fmt", "yuv420p", "-c:a", "aac", "-b:a", "160k"];
 
-  console.log("📦 Processing QUEUED job:", jobId);
+// Cards are laid out for 1080x1920; square and landscape canvases scale them down to fit
+function cardScale({ width: W, height: H }) {
+  return Math.min(1, W / 1080, H / 1700);
+}
 
-  // Target seconds from job.max_seconds (default 120). Clamp to protect costs/UX.
-  let targetSeconds = Number(locked.max_seconds || DEFAULT_TARGET_SECONDS);
-  if (!Number.isFinite(targetSeconds) || targetSeconds <= 0) targetSeconds = DEFAULT_TARGET_SECONDS;
-  targetSeconds = clamp(targetSeconds, 20, MAX_TARGET_SECONDS);
+async function renderIntroCard(outPath, { heroPath, logoPath, canvas, brand, slots }) {
+  const { width: W, height: H } = canvas;
+  const fps = Number(canvas.fps || 30);
+  const k = cardScale(canvas);
+  const text = { font: brand.fontFile, color: brand.textColor, width: W };
+
+  const chain = [
+    `[0:v]scale=${W}:${H}:force_original_aspect_ratio=increase,crop=${W}:${H},setsar=1,fps=${fps},format=yuv420p`,
+    `drawbox=x=0:y=0:w=${W}:h=${H}:color=black@0.35:t=fill`,
+    `drawbox=x=0:y=${Math.round(H * 0.6)}:w=${W}:h=${Math.round(H * 0.16)}:color=${brand.barColor}@${brand.barAlpha}:t=fill`,
+    cardText(slots.title, { ...text, size: Math.round(72 * k), y: H * 0.6 + 50 * k }),
+  ];
+  if (slots.details) chain.push(cardText(slots.details, { ...text, size: Math.round(50 * k), y: H * 0.6 + 160 * k }));
+  chain.push(
+    `fade=t=in:st=0:d=${CARD_FADE_SECONDS}`,
+    `fade=t=out:st=${Math.max(0, INTRO_SECONDS - CARD_FADE_SECONDS)}:d=${CARD_FADE_SECONDS}[bg]`
+  );
 
-  let avatarId = null;
-  let voiceId = null;
+  const filter =
+    `${chain.join(",")};` +
+    `[1:v]scale=${Math.round(brand.logoW * 1.5 * k)}:-1,format=rgba[logo];` +
+    `[bg][logo]overlay=x=(W-w)/2:y=${Math.round(H * 0.12)},format=yuv420p[outv]`;
 
-  // Resolve avatar from avatars table if present, else fallback to env
-  if (locked.avatar_id) {
-    const { data: avatar, error: avatarErr } = await supabase
-      .from("avatars")
-      .select("provider_avatar_id")
-      .eq("id", locked.avatar_id)
-      .single();
+  await runFFmpeg([
+    "-y",
+    "-loop",
+    "1",
+    "-t",
+    String(INTRO_SECONDS),
+    "-i",
+    heroPath,
+    "-i",
+    logoPath,
+    ...SILENT_TRACK,
+    "-filter_complex",
+    filter,
+    "-map",
+    "[outv]",
+    "-map",
+    "2:a",
+    "-t",
+    String(INTRO_SECONDS),
+    ...CARD_OUTPUT,
+    outPath,
+  ]);
+}
 
-    if (avatarErr || !avatar) throw new Error("Avatar not found for job " + jobId);
-    avatarId = avatar.provider_avatar_id;
-  }
+async function renderOutroCard(outPath, { photoPath, qrPath, logoPath, canvas, brand, listing, language }) {
+  const { width: W, height: H } = canvas;
+  const fps = Number(canvas.fps || 30);
+  const k = cardScale(canvas);
+  const text = { font: brand.fontFile, color: brand.textColor, width: W };
+
+  const inputs = ["-f", "lavfi", "-i", `color=c=${brand.barColor}:s=${W}x${H}:r=${fps}:d=${OUTRO_SECONDS}`];
+  const chains = [];
+  let cur = "0:v";
+  let y = H * 0.1;
+
+  const overlay = (file, scale, label, yExpr = Math.round(y)) => {
+    const idx = inputs.filter((a) => a === "-i").length;
+    inputs.push("-i", file);
+    chains.push(`[${idx}:v]${scale},format=rgba[${label}]`);
+    chains.push(`[${cur}][${label}]overlay=x=(W-w)/2:y=${yExpr}[${label}o]`);
+    cur = `${label}o`;
+  };
 
-  // Resolve voice from voices table if present, else fallback to env
-  if (locked.voice_id) {
-    const { data: voice, error: voiceErr } = await supabase
-      .from("voices")
-      .select("provider_voice_id")
-      .eq("id", locked.voice_id)
-      .single();
+  if (photoPath) {
+    const size = Math.round(1080 * 0.36 * k);
+    overlay(photoPath, `scale=${size}:${size}:force_original_aspect_ratio=increase,crop=${size}:${size}`, "photo");
+    y += size + 50 * k;
+  }
 
-    if (voiceErr || !voice) throw new Error("Voice not found for job " + jobId);
-    voiceId = voice.provider_voice_id;
+  const lines = [
+    [listing.agent_name, 64],
+    [listing.agent_phone, 48],
+    [listing.agent_email, 44],
+  ].filter(([t]) => t);
+  const drawn = lines.map(([t, size]) => {
+    const d = cardText(t, { ...text, size: Math.round(size * k), y });
+    y += (size + 34) * k;
+    return d;
+  });
+  if (drawn.length) {
+    chains.push(`[${cur}]${drawn.join(",")}[txt]`);
+    cur = "txt";
   }
 
-  if (!avatarId || !voiceId) {
-    console.log("⚠️ Falling back to legacy avatar_type logic");
-    const avatarType = String(locked.avatar_type || "female").toLowerCase();
-    const isMale = avatarType === "male";
-    avatarId = isMale ? HEYGEN_AVATAR_ID_MALE : HEYGEN_AVATAR_ID_FEMALE;
-    voiceId = isMale ? HEYGEN_VOICE_ID_MALE : HEYGEN_VOICE_ID_FEMALE;
+  if (qrPath) {
+    y += 40 * k;
+    const size = Math.round(1080 * 0.34 * k);
+    overlay(qrPath, `scale=${size}:${size}`, "qr");
+    y += size + 30 * k;
+    chains.push(`[${cur}]${cardText(language.labels.scan, { ...text, size: Math.round(40 * k), y })}[scan]`);
+    cur = "scan";
   }
 
-  // Full transcribe (<=5min) -> montage plan for targetSeconds
-  const { transcript, plan } = await generateMontagePlanFromWalkthrough(
-    locked.walkthrough_url,
-    jobId,
-    targetSeconds
+  // logo sits at the bottom regardless of how much is above it
+  overlay(logoPath, `scale=${Math.round(brand.logoW * k)}:-1`, "logo", `H-h-${Math.round(H * 0.06)}`);
+
+  chains.push(`[${cur}]fade=t=in:st=0:d=${CARD_FADE_SECONDS},format=yuv420p[outv]`);
+
+  const audioIdx = inputs.filter((a) => a === "-i").length;
+  await runFFmpeg([
+    "-y",
+    ...inputs,
+    ...SILENT_TRACK,
+    "-filter_complex",
+    chains.join(";"),
+    "-map",
+    "[outv]",
+    "-map",
+    `${audioIdx}:a`,
+    "-t",
+    String(OUTRO_SECONDS),
+    ...CARD_OUTPUT,
+    outPath,
+  ]);
+}
+
+async function concatWithCards(parts, outPath, fps) {
+  const withAudio = await hasAudioStream(parts.find((p) => p.main).path);
+  const filters = parts.map(
+    (_, i) =>
+      `[${i}:v]fps=${fps},format=yuv420p,setsar=1[v${i}]` +
+      (withAudio ? `;[${i}:a]aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo[a${i}]` : "")
   );
+  const joins = parts.map((_, i) => `[v${i}]` + (withAudio ? `[a${i}]` : "")).join("");
 
-  // Pack plan JSON into script_text
-  const packed = JSON.stringify({
-    targetSeconds,
-    script: plan.script,
-    segments: plan.segments, // [{start,end,line}]
-  });
+  await runFFmpeg([
+    "-y",
+    ...parts.flatMap((p) => ["-i", p.path]),
+    "-filter_complex",
+    `${filters.join(";")};${joins}concat=n=${parts.length}:v=1:a=${withAudio ? 1 : 0}[outv]${withAudio ? "[outa]" : ""}`,
+    "-map",
+    "[outv]",
+    ...(withAudio ? ["-map", "[outa]"] : []),
+    ...CARD_OUTPUT,
+    "-movflags",
+    "+faststart",
+    outPath,
+  ]);
+}
 
-  // Create HeyGen avatar video from plan.script
-  const heygenVideoId = await createHeygenVideo({
-    scriptText: plan.script,
-    jobId,
-    avatarId,
-    voiceId,
-  });
+/*
+  Wraps the composite in the job's cards. Returns { path, introSeconds }: the file to upload
+  (the composite itself when both cards are off, or there's nothing to show on the outro)
+  and how far the intro pushes the composite back (for caption sidecars).
+*/
+// hero = { path, at }: the frame (seconds into a video, or a still) behind the intro card
+async function addCards(job, { compositePath, outPath, hero, layout, brand, logoPath, slots, language }) {
+  const jobId = job.id;
+  const listing = jobListing(job) || {};
+  const wantIntro = job.intro_card !== false;
+  const wantOutro =
+    job.outro_card !== false && Boolean(listing.agent_name || listing.agent_phone || listing.agent_email || listing.listing_url);
 
-  const { error: updErr } = await supabase
-    .from("render_jobs")
-    .update({
-      status: "heygen_requested",
-      heygen_video_id: heygenVideoId,
-      transcript_text: transcript,
-      script_text: packed,         // montage plan stored here
-      max_seconds: targetSeconds,  // normalize saved value
-    })
-    .eq("id", jobId);
+  if (!wantIntro && !wantOutro) return { path: compositePath, introSeconds: 0 };
 
-  if (updErr) throw updErr;
+  const tmp = "/tmp";
+  const heroPath = path.join(tmp, `hero-${jobId}.jpg`);
+  const photoExt = path.extname(String(listing.agent_photo_url || "").split("?")[0]).toLowerCase() || ".jpg";
+  const photoPath = path.join(tmp, `agent-${jobId}${photoExt}`);
+  const qrPath = path.join(tmp, `qr-${jobId}.png`);
+  const introPath = path.join(tmp, `intro-${jobId}.mp4`);
+  const outroPath = path.join(tmp, `outro-${jobId}.mp4`);
 
-  console.log("⏳ Waiting for webhook to set status=rendering...");
+  try {
+    const parts = [];
+
+    if (wantIntro) {
+      console.log("🪧 Rendering intro card …");
+      await runFFmpeg(["-y", "-ss", String(hero.at), "-i", hero.path, "-frames:v", "1", "-q:v", "2", heroPath]);
+      await renderIntroCard(introPath, { heroPath, logoPath, canvas: layout.canvas, brand, slots });
+      parts.push({ path: introPath });
+    }
+
+    parts.push({ path: compositePath, main: true });
+
+    if (wantOutro) {
+      console.log("🪧 Rendering outro card …");
+      let photo = null;
+      if (listing.agent_photo_url) {
+        try {
+          await downloadFile(listing.agent_photo_url, photoPath);
+          photo = photoPath;
+        } catch (e) {
+          console.log("⚠️ Agent photo download failed; outro without photo:", e?.message || e);
+        }
+      }
+      if (listing.listing_url) await QRCode.toFile(qrPath, listing.listing_url, { width: 600, margin: 2 });
+
+      await renderOutroCard(outroPath, {
+        photoPath: photo,
+        qrPath: listing.listing_url ? qrPath : null,
+        logoPath,
+        canvas: layout.canvas,
+        brand,
+        listing,
+        language,
+      });
+      parts.push({ path: outroPath });
+    }
+
+    await concatWithCards(parts, outPath, Number(layout.canvas.fps || 30));
+    return { path: outPath, introSeconds: wantIntro ? INTRO_SECONDS : 0 };
+  } finally {
+    safeUnlink(heroPath);
+    safeUnlink(photoPath);
+    safeUnlink(qrPath);
+    safeUnlink(introPath);
+    safeUnlink(outroPath);
+  }
 }
 
 /* ==============================
    PHASE 2 — rendering -> completed
 ============================== */
-function escapeDrawtext(s) {
-  return String(s || "")
-    .replace(/\\/g, "\\\\")
-    .replace(/:/g, "\\:")
-    .replace(/'/g, "\\'");
-}
-
 async function processRendering(job) {
   const jobId = job.id;
 
   const { data: locked, error: lockErr } = await supabase
     .from("render_jobs")
-    .update({ status: "rendering_in_progress" })
+    .update({ status: "rendering_in_progress", lease_expires_at: leaseUntil(), locked_by: WORKER_ID })
     .eq("id", jobId)
     .eq("status", "rendering")
     .select("*")
@@ -666,73 +3589,57 @@ async function processRendering(job) {
 
   if (!locked.heygen_video_url) {
     console.log("⚠️ rendering job has no heygen_video_url yet:", jobId);
-    await supabase.from("render_jobs").update({ status: "rendering" }).eq("id", jobId);
+    await supabase
+      .from("render_jobs")
+      .update({ status: "rendering", lease_expires_at: null, locked_by: null })
+      .eq("id", jobId)
+      .eq("status", "rendering_in_progress")
+      .eq("locked_by", WORKER_ID);
     return;
   }
 
   console.log("🎬 Compositing FINAL montage video:", jobId);
+  await emitJobEvent(locked, "rendering_in_progress");
 
-  const tmp = "/tmp";
-  const walkPath = path.join(tmp, `walk-${jobId}.mp4`);
-  const montagePath = path.join(tmp, `montage-${jobId}.mp4`);
-  const avatarPath = path.join(tmp, `avatar-${jobId}.mp4`);
-  const logoPath = path.join(tmp, `logo-${jobId}.png`);
-  const finalPath = path.join(tmp, `final-${jobId}.mp4`);
-
+  const stopHeartbeat = startHeartbeat(jobId, "rendering_in_progress");
   try {
-    await downloadFile(locked.walkthrough_url, walkPath);
-    await downloadFile(locked.heygen_video_url, avatarPath);
-
-     const avatarDuration = await getVideoDurationSeconds(avatarPath);
-if (!avatarDuration) throw new Error("Could not determine avatar duration");
-
-console.log("🎙 Avatar duration:", avatarDuration);
-
-    const logoUrl = (locked.logo_url || DEFAULT_LOGO_URL).trim();
-    await downloadFile(logoUrl, logoPath);
-
-    // Parse montage plan from script_text
-    const packed = safeJsonParse(String(locked.script_text || ""));
-    const targetSeconds = clamp(
-      Number(packed?.targetSeconds || locked.max_seconds || DEFAULT_TARGET_SECONDS),
-      20,
-      MAX_TARGET_SECONDS
-    );
-
-    const segments = Array.isArray(packed?.segments) ? packed.segments : [];
-
-    // Build montage background
-    await buildMontageVideo(
-  walkPath,
-  montagePath,
-  segments,
-  Math.floor(avatarDuration)
-);
-
-    const headline = (locked.property_headline || LT_TEXT || "Brand New Listing").trim();
-    const safeLT = escapeDrawtext(headline);
-
-    const soften =
-      EDGE_SOFTEN && Number(EDGE_SOFTEN) > 0 ? `,boxblur=${EDGE_SOFTEN}:${EDGE_SOFTEN}` : "";
+    await runRenderingPhase(locked);
+  } finally {
+    stopHeartbeat();
+  }
+}
 
-    const filter =
-  `[0:v]setpts=PTS-STARTPTS,fps=30,` +
-  `scale=1080:1920:force_original_aspect_ratio=decrease,` +
-  `pad=1080:1920:(ow-iw)/2:(oh-ih)/2,` +
-  `format=yuv420p[vbg0];` +
+/*
+  Composites one aspect ratio over the shared montage + avatar, wraps it in the cards
+  and uploads it. Returns { storagePath, url, introSeconds }.
+*/
+async function renderRendition(
+  job,
+  { ratio, layout, montagePath, avatarPath, logoPath, hero, brand, slots, language, cues, avatarDuration }
+) {
+  const jobId = job.id;
+  const { suffix } = RENDITIONS[ratio];
 
-  `[vbg0]drawbox=x=0:y=${LT_BAR_Y}:w=1080:h=${LT_BAR_H}:color=black@${LT_BAR_ALPHA}:t=fill,` +
-  `drawtext=fontfile='${FONT_FILE}':text='${safeLT}':fontcolor=white:fontsize=64:` +
-  `x=(w-text_w)/2:y=${LT_BAR_Y + 60}[vbg];` +
+  const tmp = "/tmp";
+  const compositePath = path.join(tmp, `final-${jobId}${suffix}.mp4`);
+  const cardsPath = path.join(tmp, `carded-${jobId}${suffix}.mp4`);
+  const assPath = path.join(tmp, `captions-${jobId}${suffix}.ass`);
 
-  `[1:v]scale=${AVATAR_SCALE_W}:-2,format=rgba,` +
-  `colorkey=${KEY_COLOR_FFMPEG}:${KEY_SIMILARITY}:${KEY_BLEND}${soften},` +
-  `colorchannelmixer=aa=${AVATAR_OPACITY}[av];` +
+  try {
+    console.log(`🖼 Rendering ${ratio} (${layout.name}) …`);
 
-  `[vbg][av]overlay=x=W-w-${AVATAR_MARGIN_X}:y=${LT_BAR_Y}-h-30[v1];` +
+    // Caption coordinates are in canvas pixels, so each canvas gets its own subtitle file
+    if (cues.length) {
+      fs.writeFileSync(assPath, toAss(cues, { canvas: layout.canvas, brand, family: fontFamilyName(brand.fontFile) }));
+    }
 
-  `[2:v]scale=${LOGO_W}:-1,format=rgba[lg];` +
-  `[v1][lg]overlay=x=W-w-${LOGO_MARGIN_X}:y=${LOGO_MARGIN_Y}[outv]`;
+    const filter = compileLayout(layout, {
+      duration: avatarDuration,
+      inputs: { background: 0, avatar: 1, logo: 2 },
+      brand,
+      slots,
+      captions: cues.length ? { assPath, fontsDir: path.dirname(brand.fontFile) } : null,
+    });
 
     await runFFmpeg([
       "-y",
@@ -762,27 +3669,175 @@ console.log("🎙 Avatar duration:", avatarDuration);
       "160k",
       "-movflags",
       "+faststart",
-      finalPath,
+      compositePath,
     ]);
 
-    const storagePath = `renders/final-${jobId}.mp4`;
-    const publicUrl = await uploadToStorage(finalPath, storagePath);
+    const { path: outputPath, introSeconds } = await addCards(job, {
+      compositePath,
+      outPath: cardsPath,
+      hero,
+      layout,
+      brand,
+      logoPath,
+      slots,
+      language,
+    });
+
+    const storagePath = `renders/final-${jobId}${suffix}.mp4`;
+    const url = await uploadToStorage(outputPath, storagePath);
+    return { storagePath, url, introSeconds };
+  } finally {
+    safeUnlink(compositePath);
+    safeUnlink(cardsPath);
+    safeUnlink(assPath);
+  }
+}
+
+async function runRenderingPhase(locked) {
+  const jobId = locked.id;
+
+  const tmp = "/tmp";
+  const walkPath = path.join(tmp, `walk-${jobId}.mp4`);
+  const montagePath = path.join(tmp, `montage-${jobId}.mp4`);
+  const avatarPath = path.join(tmp, `avatar-${jobId}.mp4`);
+  const logoPath = path.join(tmp, `logo-${jobId}.png`);
+  const fontDir = path.join(tmp, `fonts-${jobId}`); // only the brand font: libass scans all of fontsdir
+  const srtPath = path.join(tmp, `captions-${jobId}.srt`);
+  const vttPath = path.join(tmp, `captions-${jobId}.vtt`);
+  const isPhotos = locked.source_type === "photos";
+  let photoPaths = new Map();
+
+  try {
+    if (!isPhotos) await downloadWalkthrough(locked, walkPath);
+    await downloadFile(locked.heygen_video_url, avatarPath);
+
+     const avatarDuration = await getVideoDurationSeconds(avatarPath);
+if (!avatarDuration) throw fatalError("Could not determine avatar duration");
+
+console.log("🎙 Avatar duration:", avatarDuration);
+
+    const renditions = jobRenditionLayouts(locked);
+
+    const brand = resolveBrand(locked, await loadBrand(locked.brand_id));
+
+    await downloadFile(brand.logoUrl, logoPath);
+
+    let fontFile = brand.fontFile;
+    if (/^https?:\/\//i.test(fontFile)) {
+      fs.mkdirSync(fontDir, { recursive: true });
+      fontFile = path.join(fontDir, path.extname(new URL(brand.fontFile).pathname).toLowerCase() === ".otf" ? "brand.otf" : "brand.ttf");
+      await downloadFile(brand.fontFile, fontFile);
+    }
+
+    // Parse montage plan from script_text
+    const packed = safeJsonParse(String(locked.script_text || ""));
+    const targetSeconds = clamp(
+      Number(packed?.targetSeconds || locked.max_seconds || DEFAULT_TARGET_SECONDS),
+      20,
+      MAX_TARGET_SECONDS
+    );
+
+    const language = jobLanguage(locked);
+    const slots = listingSlots(locked, language, brand.headline);
+
+    const planned = Array.isArray(packed?.segments) ? packed.segments : [];
+    if (isPhotos && !planned.length) throw fatalError("Photo plan has no segments");
+    const walkDuration = isPhotos ? null : await getVideoDurationSeconds(walkPath);
+    const words =
+      NARRATION_RETIME || CAPTIONS_ENABLED ? await transcribeNarration(avatarPath, jobId, language.code) : [];
+    const segments = retimeToNarration(planned, words, avatarDuration, walkDuration);
+
+    const cues = CAPTIONS_ENABLED ? buildCaptionCues(words) : [];
+
+    // Build montage background (exactly as long as the avatar), shared by every rendition.
+    // Slideshows are framed per canvas instead (below): cropping one to another aspect loses most of each photo.
+    if (isPhotos) {
+      photoPaths = await downloadPhotos(locked, [...new Set(segments.map((s) => s.image))]);
+    } else {
+      await buildMontageVideo(walkPath, montagePath, segments, avatarDuration, jobTransition(locked));
+    }
+
+    const hero = isPhotos
+      ? { path: photoPaths.get(segments[0]?.image), at: 0 }
+      : { path: walkPath, at: segments[0] ? (Number(segments[0].start || 0) + Number(segments[0].end || 0)) / 2 : 1 };
+
+    const outputs = {};
+    let introSeconds = 0;
+    for (const { ratio, layout } of renditions) {
+      if (isPhotos) {
+        await buildSlideshowVideo(
+          segments.map((s) => photoPaths.get(s.image)),
+          montagePath,
+          segments.map((s) => s.end - s.start),
+          layout.canvas,
+          avatarDuration,
+          jobTransition(locked)
+        );
+      }
+
+      const rendered = await renderRendition(locked, {
+        ratio,
+        layout,
+        montagePath,
+        avatarPath,
+        logoPath,
+        hero,
+        brand: { ...brand, fontFile },
+        slots,
+        language,
+        cues,
+        avatarDuration,
+      });
+      outputs[ratio] = { storage_path: rendered.storagePath, url: rendered.url };
+      introSeconds = rendered.introSeconds;
+    }
+
+    const primary = outputs[renditions[0].ratio];
+    const storagePath = primary.storage_path;
+    const publicUrl = primary.url;
+
+    // Sidecars follow the final files, so they start after the intro card (the same length in every rendition)
+    let captionUrls = {};
+    if (cues.length) {
+      fs.writeFileSync(srtPath, toSrt(cues, introSeconds));
+      fs.writeFileSync(vttPath, toVtt(cues, introSeconds));
+      captionUrls = {
+        captions_srt_url: await uploadToStorage(srtPath, `renders/final-${jobId}.srt`, "application/x-subrip"),
+        captions_vtt_url: await uploadToStorage(vttPath, `renders/final-${jobId}.vtt`, "text/vtt"),
+      };
+    }
 
-    const { error: doneErr } = await supabase
+    const { data: done, error: doneErr } = await supabase
       .from("render_jobs")
       .update({
         status: "completed",
         final_storage_path: storagePath,
         final_public_url: publicUrl,
+        rendition_outputs: outputs,
+        ...captionUrls,
+        lease_expires_at: null,
+        locked_by: null,
+        attempts: 0,
+        next_attempt_at: null,
       })
-      .eq("id", jobId);
+      .eq("id", jobId)
+      .eq("status", "rendering_in_progress")
+      .eq("locked_by", WORKER_ID)
+      .select("id")
+      .maybeSingle();
 
     if (doneErr) throw doneErr;
+    if (!done) {
+      console.log("⚠️ Lost lease on job before completing:", jobId);
+      return;
+    }
 
     console.log("✅ Completed:", jobId, publicUrl);
+    await emitJobEvent(locked, "completed", { final_public_url: publicUrl, rendition_outputs: outputs, ...captionUrls });
 
     if (locked.email) {
-      await sendFinalEmail(locked.email, publicUrl, jobId);
+      const extra = renditions.slice(1).map(({ ratio }) => ({ label: ratio, url: outputs[ratio].url }));
+      await sendFinalEmail(locked.email, publicUrl, jobId, extra);
       console.log("📧 Email sent to:", locked.email);
     }
   } finally {
@@ -790,7 +3845,60 @@ console.log("🎙 Avatar duration:", avatarDuration);
     safeUnlink(montagePath);
     safeUnlink(avatarPath);
     safeUnlink(logoPath);
-    safeUnlink(finalPath);
+    fs.rmSync(fontDir, { recursive: true, force: true });
+    safeUnlink(srtPath);
+    safeUnlink(vttPath);
+    for (const p of photoPaths.values()) safeUnlink(p);
+  }
+}
+
+/* ==============================
+   WORKER POOLS
+   - one pool per pollable phase, each with its own concurrency
+   - several replicas may pick the same row; the conditional-update lock in
+     processQueued/processRendering decides the winner, the loser just returns
+============================== */
+const pools = [
+  { status: "queued", claimed: "processing", concurrency: QUEUED_CONCURRENCY, handler: processQueued, inFlight: new Set() },
+  { status: "approved", claimed: "submitting", concurrency: QUEUED_CONCURRENCY, handler: processApproved, inFlight: new Set() },
+  {
+    status: "rendering",
+    claimed: "rendering_in_progress",
+    concurrency: RENDERING_CONCURRENCY,
+    handler: processRendering,
+    inFlight: new Set(),
+  },
+];
+
+function runPooled(pool, job) {
+  pool.inFlight.add(job.id);
+
+  pool
+    .handler(job)
+    .catch((err) => failJob(job, err, pool.claimed))
+    .catch((err) => console.error(`❌ ${pool.status} pool error:`, job.id, err?.message || err))
+    .finally(() => pool.inFlight.delete(job.id));
+}
+
+async function fillPool(pool) {
+  const free = pool.concurrency - pool.inFlight.size;
+  if (free <= 0) return;
+
+  // Over-fetch by the in-flight count: a job we just started may not be claimed yet
+  const { data: jobs, error } = await supabase
+    .from("render_jobs")
+    .select("*")
+    .eq("status", pool.status)
+    .or(`next_attempt_at.is.null,next_attempt_at.lte.${new Date().toISOString()}`)
+    .order("created_at", { ascending: true })
+    .limit(free + pool.inFlight.size);
+
+  if (error) throw error;
+
+  for (const job of jobs || []) {
+    if (pool.inFlight.size >= pool.concurrency) break;
+    if (pool.inFlight.has(job.id)) continue;
+    runPooled(pool, job);
   }
 }
 
@@ -798,53 +3906,54 @@ console.log("🎙 Avatar duration:", avatarDuration);
    MAIN LOOP
 ============================== */
 async function loop() {
+  let lastReapAt = 0;
+
   while (true) {
-    try {
-      // queued
-      const { data: queued, error: qErr } = await supabase
-        .from("render_jobs")
-        .select("*")
-        .eq("status", "queued")
-        .order("created_at", { ascending: true })
-        .limit(1);
-
-      if (qErr) throw qErr;
-
-      if (queued?.length) {
-        const job = queued[0];
-        try {
-          await processQueued(job);
-        } catch (err) {
-          await failJob(job.id, err);
-        }
-        await sleep(POLL_MS);
-        continue;
+    if (Date.now() - lastReapAt >= REAPER_INTERVAL_MS) {
+      lastReapAt = Date.now();
+      try {
+        await reapExpiredLeases();
+      } catch (err) {
+        console.error("❌ Reaper error:", err?.message || err);
       }
+      try {
+        await pollOverdueHeygenJobs();
+      } catch (err) {
+        console.error("❌ HeyGen poll error:", err?.message || err);
+      }
+    }
 
-      // rendering
-      const { data: rendering, error: rErr } = await supabase
-        .from("render_jobs")
-        .select("*")
-        .eq("status", "rendering")
-        .order("created_at", { ascending: true })
-        .limit(1);
+    for (const pool of pools) {
+      try {
+        await fillPool(pool);
+      } catch (err) {
+        console.error(`❌ Worker loop error (${pool.status}):`, err?.message || err);
+      }
+    }
 
-      if (rErr) throw rErr;
+    await sleep(POLL_MS);
+  }
+}
 
-      if (rendering?.length) {
-        const job = rendering[0];
-        try {
-          await processRendering(job);
-        } catch (err) {
-          await failJob(job.id, err);
-        }
-      }
+// Separate from loop(): a batch of slow callback endpoints must not delay job claiming
+async function deliveryLoop() {
+  while (true) {
+    try {
+      await deliverPendingWebhooks();
     } catch (err) {
-      console.error("❌ Worker loop error:", err?.message || err);
+      console.error("❌ Status webhook error:", err?.message || err);
     }
 
     await sleep(POLL_MS);
   }
 }
 
+try {
+  await publishLayouts();
+} catch (err) {
+  console.error("❌ Could not publish layouts:", err?.message || err);
+  process.exit(1);
+}
+
 loop();
+deliveryLoop();